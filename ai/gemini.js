@@ -0,0 +1,38 @@
+const { GoogleGenAI } = require("@google/genai");
+
+// Gemini AI - the newest model is "gemini-2.5-flash"
+const DEFAULT_MODEL = "gemini-2.5-flash";
+
+function createGeminiProvider({
+    apiKey = process.env.GOOGLE_API_KEY,
+    model = process.env.GEMINI_MODEL || DEFAULT_MODEL
+} = {}) {
+    const client = new GoogleGenAI({ apiKey: apiKey || "" });
+
+    return {
+        name: "gemini",
+        model,
+        configured: Boolean(apiKey),
+        // Images, audio (voice notes are audio/ogg) and PDFs go in as inline data.
+        accepts: mimeType => /^(image|audio)\//.test(mimeType) || mimeType === "application/pdf",
+        async generate({ messages, system, signal }) {
+            const response = await client.models.generateContent({
+                model,
+                contents: messages.map(m => ({
+                    role: m.role === "assistant" ? "model" : "user",
+                    parts: [
+                        { text: m.text },
+                        ...(m.files || []).map(f => ({ inlineData: { mimeType: f.mimeType, data: f.data.toString("base64") } }))
+                    ]
+                })),
+                config: {
+                    systemInstruction: system || undefined,
+                    abortSignal: signal
+                }
+            });
+            return response.text;
+        }
+    };
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,101 @@
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+const { MediaError } = require("../media");
+
+const TIMEOUT = parseInt(process.env.AI_TIMEOUT_MS) || 30 * 1000;
+
+function buildProviders() {
+    const providers = {};
+    [createGeminiProvider(), createOpenAIProvider(), createMockProvider()]
+        .forEach(p => providers[p.name] = p);
+    return providers;
+}
+
+function withTimeout(run, timeout) {
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            controller.abort();
+            reject(new Error(`Timed out after ${timeout}ms`));
+        }, timeout);
+    });
+    return Promise.race([run(controller.signal), timedOut]).finally(() => clearTimeout(timer));
+}
+
+// Every AI-backed feature goes through generate(). It tries the chat's
+// chosen provider, then AI_PROVIDER, then the AI_FALLBACK list, skipping
+// providers without an API key. The mock provider is only used when it is
+// named explicitly or nothing else is configured.
+function createAIService({
+    db,
+    metrics,
+    analytics,
+    providers = buildProviders(),
+    primary = process.env.AI_PROVIDER || "gemini",
+    fallbacks = (process.env.AI_FALLBACK || "gemini,openai").split(",").map(s => s.trim()),
+    timeout = TIMEOUT
+}) {
+    // When generate() last succeeded, and when every provider last failed.
+    const health = { lastSuccess: null, lastFailure: null, lastError: null };
+
+    // Requests with files skip providers that can't read them.
+    function chain(preferred, files = []) {
+        const names = [...new Set([preferred, primary, ...fallbacks])]
+            .filter(name => providers[name] && providers[name].configured);
+        if (names.length === 0) return ["mock"];
+        const capable = names.filter(name => files.every(f => providers[name].accepts && providers[name].accepts(f.mimeType)));
+        if (capable.length === 0) throw new MediaError("media.no_provider");
+        return capable;
+    }
+
+    // Messages are { role: "user" | "assistant", text, files }, where the
+    // optional files are { mimeType, data: Buffer } (see media.js); `prompt`
+    // (with `files`) is a shortcut for a single user message.
+    async function generate({ chatId, userId, prompt, files, messages, system }) {
+        if (prompt !== undefined) messages = [{ role: "user", text: prompt, ...(files ? { files } : {}) }];
+        const preferred = chatId ? await db.getChatProvider(chatId) : null;
+        const started = Date.now();
+
+        const names = chain(preferred, messages.flatMap(m => m.files || []));
+        let lastError;
+        for (const name of names) {
+            const provider = providers[name];
+            const stopTimer = metrics.aiLatency.startTimer({ provider: name });
+            try {
+                const text = await withTimeout(signal => provider.generate({ messages, system, signal }), timeout);
+                if (!text) throw new Error("Empty response");
+                stopTimer();
+                metrics.aiCalls.inc({ provider: name, outcome: "success" });
+                health.lastSuccess = new Date();
+                analytics.record({ type: "ai", name, userId, chatId, latencyMs: Date.now() - started, success: true });
+                return { text, provider: name, model: provider.model };
+            } catch (err) {
+                stopTimer();
+                metrics.aiCalls.inc({ provider: name, outcome: "error" });
+                lastError = err;
+                console.error(`AI provider ${name} error:`, err.message || err);
+            }
+        }
+        analytics.record({ type: "ai", name: names[names.length - 1], userId, chatId, latencyMs: Date.now() - started, success: false });
+        health.lastFailure = new Date();
+        health.lastError = lastError.message || String(lastError);
+        throw lastError;
+    }
+
+    function listProviders() {
+        return Object.values(providers).map(p => ({ name: p.name, model: p.model, configured: p.configured }));
+    }
+
+    return {
+        generate,
+        listProviders,
+        primary,
+        health: () => ({ ...health, providers: chain(null) }),
+        getChatProvider: chatId => db.getChatProvider(chatId),
+        setChatProvider: (chatId, name) => db.setChatProvider(chatId, name)
+    };
+}
+
+module.exports = { createAIService };
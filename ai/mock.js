@@ -0,0 +1,25 @@
+const CANNED = [
+    "🤖 I'm running in offline mode, so this is a canned answer. Ask me again when I'm back online!",
+    "🤖 Offline mode: my best guess is 42.",
+    "🤖 Offline mode: that's a great question. I'll think about it while the AI is away."
+];
+
+// Answers without any network access. Picks a canned reply from the last
+// user message so the same input always gives the same output.
+function createMockProvider() {
+    return {
+        name: "mock",
+        model: "canned",
+        configured: true,
+        // Files are ignored, so any will do.
+        accepts: () => true,
+        async generate({ messages }) {
+            const text = messages.length > 0 ? messages[messages.length - 1].text : "";
+            let hash = 0;
+            for (const char of text) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+            return CANNED[hash % CANNED.length];
+        }
+    };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,41 @@
+const OpenAI = require("openai");
+
+// the newest OpenAI model is "gpt-5" which was released August 7, 2025. do not change this unless explicitly requested by the user
+const DEFAULT_MODEL = "gpt-5";
+
+// Images go along as data URLs.
+function withFiles(message) {
+    return [
+        { type: "text", text: message.text },
+        ...message.files.map(f => ({
+            type: "image_url",
+            image_url: { url: `data:${f.mimeType};base64,${f.data.toString("base64")}` }
+        }))
+    ];
+}
+
+function createOpenAIProvider({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || DEFAULT_MODEL
+} = {}) {
+    const client = apiKey ? new OpenAI({ apiKey }) : null;
+
+    return {
+        name: "openai",
+        model,
+        configured: Boolean(apiKey),
+        accepts: mimeType => mimeType.startsWith("image/"),
+        async generate({ messages, system, signal }) {
+            const completion = await client.chat.completions.create({
+                model,
+                messages: [
+                    ...(system ? [{ role: "system", content: system }] : []),
+                    ...messages.map(m => ({ role: m.role, content: m.files ? withFiles(m) : m.text }))
+                ]
+            }, { signal });
+            return completion.choices[0].message.content;
+        }
+    };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,129 @@
+const RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS) || 90;
+const PRUNE_INTERVAL = 24 * 60 * 60 * 1000;
+const TREND_DAYS = 7;
+const EXPORT_LIMIT = 100000;
+const BARS = "▁▂▃▄▅▆▇█";
+
+function percent(part, total) {
+    return total > 0 ? `${(part / total * 100).toFixed(1)}%` : "n/a";
+}
+
+function sparkline(values) {
+    const max = Math.max(...values);
+    return values.map(v => max > 0 ? BARS[Math.round(v / max * (BARS.length - 1))] : BARS[0]).join("");
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return "";
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+    const lines = [columns.join(",")];
+    rows.forEach(row => lines.push(columns.map(c => csvField(row[c])).join(",")));
+    return lines.join("\n") + "\n";
+}
+
+// Usage analytics kept in the events table: one row per command, inline
+// query, button press and AI call. Recording never blocks or fails the
+// update being handled.
+function createAnalytics({ db, metrics, retentionDays = RETENTION_DAYS }) {
+    let pruneTimer = null;
+
+    function record({ type, name, userId, chatId, latencyMs, success }) {
+        db.recordEvent({ type, name, userId, chatId, latencyMs: Math.round(latencyMs), success })
+            .catch(err => metrics.handlerError("Analytics", err));
+    }
+
+    // Runs an update handler, timing it and recording it under the update's
+    // user and chat whether it resolves or throws.
+    async function track({ type, name, ctx }, run) {
+        const started = Date.now();
+        let success = false;
+        try {
+            const result = await run();
+            success = true;
+            return result;
+        } finally {
+            record({
+                type,
+                name,
+                userId: ctx.from ? ctx.from.id : null,
+                chatId: ctx.chat ? ctx.chat.id : null,
+                latencyMs: Date.now() - started,
+                success
+            });
+        }
+    }
+
+    async function prune() {
+        try {
+            await db.pruneEvents(retentionDays);
+        } catch (err) {
+            metrics.handlerError("Analytics prune", err);
+        }
+    }
+
+    function start() {
+        prune();
+        pruneTimer = setInterval(prune, PRUNE_INTERVAL);
+        pruneTimer.unref();
+    }
+
+    function stop() {
+        clearInterval(pruneTimer);
+        pruneTimer = null;
+    }
+
+    async function report() {
+        const [users, commands, chats, aiStats, daily] = await Promise.all([
+            db.getUserActivity(),
+            db.getTopCommands(TREND_DAYS, 5),
+            db.getTopChats(TREND_DAYS, 5),
+            db.getAIEventStats(TREND_DAYS),
+            db.getDailyEvents(TREND_DAYS)
+        ]);
+        return { users, commands, chats, ai: aiStats, daily };
+    }
+
+    // `chatName(chatId)` may resolve a title for the top chats list.
+    // `t` is the reader's translator (see i18n.js).
+    async function formatReport({ users, commands, chats, ai, daily }, t, chatName = async () => null) {
+        let msg = t("analytics.users", {
+            total: users.total,
+            dau: users.dau,
+            wau: users.wau,
+            mau: users.mau,
+            new: users.new_users,
+            returning: users.returning_users
+        });
+
+        msg += `\n\n${t("analytics.top_commands")}`;
+        msg += commands.length > 0 ? commands.map((c, i) => `\n${i + 1}. /${c.name}: ${c.count}`).join("") : `\n${t("analytics.none")}`;
+
+        msg += `\n\n${t("analytics.top_chats")}`;
+        const names = await Promise.all(chats.map(c => chatName(c.chat_id).catch(() => null)));
+        msg += chats.length > 0
+            ? chats.map((c, i) => `\n${i + 1}. ${names[i] ? `${names[i]} (${c.chat_id})` : c.chat_id}: ${c.count}`).join("")
+            : `\n${t("analytics.none")}`;
+
+        msg += `\n\n${t("analytics.ai", { total: ai.total, failed: ai.failed, percent: percent(ai.failed, ai.total) })}`;
+        if (ai.avg_latency !== null) msg += t("analytics.latency", { seconds: (ai.avg_latency / 1000).toFixed(1) });
+
+        msg += `\n\n${t("analytics.trend", { count: daily.length, sparkline: sparkline(daily.map(d => d.events)) })}`;
+        daily.forEach(d => {
+            msg += `\n${t("analytics.day", { day: d.day.slice(5), events: d.events, users: d.users })}`;
+        });
+        return msg;
+    }
+
+    async function exportCsv(days) {
+        const rows = await db.listEvents(days, EXPORT_LIMIT);
+        return toCsv(["created_at", "type", "name", "user_id", "chat_id", "latency_ms", "success"], rows);
+    }
+
+    return { record, track, start, stop, report, formatReport, exportCsv };
+}
+
+module.exports = { createAnalytics, toCsv };
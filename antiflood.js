@@ -0,0 +1,110 @@
+const ms = require("ms");
+
+const HISTORY_TTL = 10 * 60 * 1000;
+
+function nameOf(user) {
+    return user.username ? `@${user.username}` : user.first_name || String(user.id);
+}
+
+function hasLink(message) {
+    const entities = message.entities || message.caption_entities || [];
+    return entities.some(e => e.type === "url" || e.type === "text_link");
+}
+
+function countMentions(message) {
+    const entities = message.entities || message.caption_entities || [];
+    return entities.filter(e => e.type === "mention" || e.type === "text_mention").length;
+}
+
+// Group spam detection. Keeps a short in-memory history per user per chat
+// and, when a chat's antiflood settings are enabled, deletes the message
+// and applies the configured action. Chat admins are never checked.
+function createAntiflood({ db, settings, permissions, moderation, metrics }) {
+    const history = new Map();
+
+    // Forget users who have been quiet for a while so the map doesn't grow forever.
+    setInterval(() => {
+        const cutoff = Date.now() - HISTORY_TTL;
+        history.forEach((entry, key) => {
+            if (entry.times[entry.times.length - 1] < cutoff) history.delete(key);
+        });
+    }, HISTORY_TTL).unref();
+
+    function track(chatId, userId, text, window) {
+        const key = `${chatId}:${userId}`;
+        const now = Date.now();
+        const entry = history.get(key) || { times: [], lastText: null, repeats: 0 };
+
+        entry.times = entry.times.filter(t => now - t < window);
+        entry.times.push(now);
+        if (text && text === entry.lastText) {
+            entry.repeats++;
+        } else {
+            entry.repeats = 1;
+            entry.lastText = text;
+        }
+        history.set(key, entry);
+        return entry;
+    }
+
+    async function detect(ctx, config) {
+        const message = ctx.message;
+        const text = message.text || message.caption || null;
+        const entry = track(ctx.chat.id, ctx.from.id, text, ms(config.window));
+
+        if (entry.times.length > config.maxMessages) return "flood";
+        if (entry.repeats >= config.maxRepeats) return "repeat";
+        if (countMentions(message) >= config.maxMentions) return "mentions";
+
+        const forwarded = Boolean(message.forward_origin || message.forward_date);
+        if (hasLink(message) || forwarded) {
+            const joinedAt = await db.getJoinedAt(ctx.from.id, ctx.chat.id);
+            if (joinedAt && Date.now() - new Date(joinedAt).getTime() < ms(config.newMemberPeriod)) {
+                return forwarded ? "newcomer_forward" : "newcomer_link";
+            }
+        }
+        return null;
+    }
+
+    async function act(ctx, config, reason) {
+        const { chat, from, message } = ctx;
+        history.delete(`${chat.id}:${from.id}`);
+
+        await ctx.telegram.deleteMessage(chat.id, message.message_id).catch(() => {});
+        const params = { name: nameOf(from), reason: ctx.t(`antiflood.reasons.${reason}`) };
+        let notice = null;
+        if (config.action === "mute") {
+            await moderation.mute(ctx.telegram, chat.id, from.id, ms(config.muteDuration), config.muteDuration);
+            notice = ctx.t("antiflood.muted", { ...params, duration: config.muteDuration });
+        } else if (config.action === "kick") {
+            await moderation.kick(ctx.telegram, chat.id, from.id);
+            notice = ctx.t("antiflood.kicked", params);
+        }
+        if (notice) await ctx.reply(notice);
+
+        await db.recordSpamEvent({ chatId: chat.id, userId: from.id, reason, action: config.action });
+    }
+
+    function middleware() {
+        return async (ctx, next) => {
+            if (!ctx.message || !ctx.from || !ctx.chat || ctx.chat.type === "private") return next();
+
+            const { antiflood: config } = await settings.get(ctx.chat.id);
+            if (!config.enabled) return next();
+
+            const reason = await detect(ctx, config);
+            if (!reason) return next();
+            if (await permissions.rank(ctx.chat, ctx.from.id) > 0) return next();
+
+            try {
+                await act(ctx, config, reason);
+            } catch (err) {
+                metrics.handlerError("Antiflood", err);
+            }
+        };
+    }
+
+    return { middleware };
+}
+
+module.exports = { createAntiflood };
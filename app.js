@@ -0,0 +1,127 @@
+const { Telegraf } = require("telegraf");
+const CommandRegistry = require("./registry");
+const JobScheduler = require("./scheduler");
+const { createModeration } = require("./moderation");
+const { createConversations } = require("./conversation");
+const { createAIService } = require("./ai");
+const { createEnforcement } = require("./enforcement");
+const { createPermissions } = require("./permissions");
+const { createBroadcaster } = require("./broadcast");
+const { createChatSettings } = require("./settings");
+const { createWarnings } = require("./warnings");
+const { createAntiflood } = require("./antiflood");
+const { createAutomod } = require("./automod");
+const { createWelcome } = require("./welcome");
+const { createContentLibrary } = require("./content");
+const { createTranslator } = require("./translator");
+const { createShortener } = require("./shortener");
+const { createReminders } = require("./reminders");
+const { createGames } = require("./games");
+const { createMetrics } = require("./metrics");
+const { createAnalytics } = require("./analytics");
+const { createI18n } = require("./i18n");
+const commandModules = require("./commands");
+
+// Builds the bot and the services behind it. bot.js runs the result against
+// Telegram and Postgres; simulator.js runs it offline with an in-memory
+// store, a fake Telegram API and the mock AI provider. `ai` is passed on to
+// createAIService (e.g. { providers, primary }).
+function createApp({ db, token, ownerId, ai: aiOptions = {} }) {
+    const metrics = createMetrics();
+    const analytics = createAnalytics({ db, metrics });
+    const ai = createAIService({ db, metrics, analytics, ...aiOptions });
+    const shortener = createShortener({ db });
+
+    // Handlers rely on real API results (e.g. sent message ids), so replies are
+    // never folded into the webhook response.
+    const bot = new Telegraf(token, { telegram: { webhookReply: false } });
+
+    const permissions = createPermissions({ db, telegram: bot.telegram, ownerId });
+    const scheduler = new JobScheduler({ db, telegram: bot.telegram, metrics });
+    const settings = createChatSettings({ db });
+    const i18n = createI18n({ db, settings });
+    const moderation = createModeration({ db, scheduler, i18n, metrics });
+    const conversations = createConversations({ db, ai, settings, metrics });
+    const warnings = createWarnings({ db, settings, moderation, metrics });
+    const antiflood = createAntiflood({ db, settings, permissions, moderation, metrics });
+    const automod = createAutomod({ db, ai, settings, permissions, moderation, warnings, metrics });
+    const welcome = createWelcome({ db, settings, scheduler, moderation, metrics });
+    const reminders = createReminders({ db, scheduler, i18n, metrics });
+    const games = createGames({ db, ai, settings, metrics, telegram: bot.telegram });
+    const content = createContentLibrary({ db });
+    const translator = createTranslator({ ai, settings, metrics });
+    const broadcaster = createBroadcaster({ db, i18n, telegram: bot.telegram, metrics });
+    const enforcement = createEnforcement({
+        db,
+        isAdmin: ctx => permissions.isGlobalAdmin(ctx.from.id)
+    });
+
+    bot.use(metrics.middleware());
+    bot.use(i18n.middleware());
+    bot.use(enforcement.middleware());
+
+    bot.use((ctx, next) => {
+        if (ctx.from && ctx.from.id) {
+            if (ctx.message) {
+                db.trackUser(ctx.from.id, ctx.from).catch(console.error);
+                if (ctx.chat.type !== "private") db.trackChatUser(ctx.from.id, ctx.chat.id).catch(console.error);
+                (ctx.message.new_chat_members || []).forEach(member => {
+                    db.trackChatJoin(member.id, ctx.chat.id).catch(console.error);
+                });
+            }
+        }
+        return next();
+    });
+
+    bot.use(antiflood.middleware());
+    bot.use(automod.middleware());
+
+    const registry = new CommandRegistry({ permissions, settings, metrics, analytics });
+    const services = {
+        registry,
+        db,
+        ai,
+        moderation,
+        conversations,
+        enforcement,
+        permissions,
+        broadcaster,
+        settings,
+        i18n,
+        warnings,
+        automod,
+        welcome,
+        reminders,
+        games,
+        content,
+        translator,
+        shortener,
+        metrics,
+        analytics
+    };
+    commandModules.forEach(load => registry.registerAll(load(services)));
+    registry.attach(bot);
+
+    bot.on("text", conversations.followUpMiddleware(registry.get("ask")));
+    bot.on("message", translator.middleware());
+    bot.on("new_chat_members", welcome.onJoin);
+    bot.on("left_chat_member", ctx => welcome.onLeave(ctx).catch(err => metrics.handlerError("Goodbye", err)));
+
+    // Log instead of crashing; in webhook mode a thrown error would also make
+    // Telegram redeliver the same update.
+    bot.catch((err, ctx) => metrics.handlerError(`Update ${ctx.updateType}`, err));
+
+    // Creates the tables and loads what the handlers keep in memory. Timers
+    // (scheduler, refreshes, broadcasts) are left to the caller.
+    async function load() {
+        await db.initDatabase();
+        const seeded = await content.load();
+        if (seeded > 0) console.log(`Added ${seeded} content library entries`);
+        await permissions.load();
+        await enforcement.load();
+    }
+
+    return { bot, load, scheduler, ...services };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,291 @@
+const crypto = require("crypto");
+const ms = require("ms");
+const { Markup } = require("telegraf");
+const { download, pickPhoto } = require("./media");
+
+// Reviews are capped per chat so a busy group can't run up the AI bill.
+const RATE = parseInt(process.env.AUTOMOD_RATE) || 30;
+const RATE_WINDOW = 60 * 1000;
+const CACHE_SIZE = 5000;
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+// Shorter texts ("ok", "lol") aren't worth a review.
+const MIN_LENGTH = 8;
+const IMAGE_LIMIT = 5 * 1024 * 1024;
+
+const CATEGORIES = ["toxicity", "scam", "nsfw"];
+const ACTIONS = ["off", "flag", "delete", "warn", "mute"];
+
+const SYSTEM = "You moderate a Telegram group chat. Rate the user's message, and the image if there is one, " +
+    "from 0 to 1 for each category: toxicity (insults, harassment, hate speech, threats), " +
+    "scam (phishing, fake giveaways, crypto or investment schemes, impersonation) and " +
+    "nsfw (sexual or graphic content). Disagreement, jokes and mild swearing are not toxic. " +
+    'Respond only with JSON of the form {"toxicity": 0, "scam": 0, "nsfw": 0}, nothing else.';
+
+function nameOf(user) {
+    return user.username ? `@${user.username}` : user.first_name || String(user.id);
+}
+
+const percent = score => `${Math.round(score * 100)}%`;
+
+const hash = text => crypto.createHash("sha256").update(text.toLowerCase().replace(/\s+/g, " ").trim()).digest("hex");
+
+// Models like to wrap JSON in prose or code fences, so only the outermost
+// object is read. Missing or odd scores count as 0.
+function parseScores(raw) {
+    const start = raw.indexOf("{");
+    const end = raw.lastIndexOf("}");
+    if (start === -1 || end < start) throw new Error("No JSON in moderation response");
+    const parsed = JSON.parse(raw.slice(start, end + 1));
+    const scores = {};
+    CATEGORIES.forEach(category => {
+        const score = Number(parsed[category]);
+        scores[category] = Number.isFinite(score) ? Math.min(Math.max(score, 0), 1) : 0;
+    });
+    return scores;
+}
+
+// The highest-scoring category over the threshold whose action isn't off.
+function verdictOf(scores, config) {
+    return CATEGORIES
+        .filter(category => scores[category] >= config.threshold && config.actions[category] !== "off")
+        .map(category => ({ category, score: scores[category], action: config.actions[category] }))
+        .sort((a, b) => b.score - a.score)[0] || null;
+}
+
+// Opt-in AI moderation for groups. Text (and, if enabled, photos) from
+// members who aren't chat admins is scored for toxicity, scams and NSFW
+// content, and each category has its own action: flag for moderators,
+// delete, delete and warn, or delete and mute. Every action is recorded as
+// a case the author can appeal from the bot's notice. Verdicts are cached
+// by message content, so reposted spam costs no extra AI calls.
+function createAutomod({ db, ai, settings, permissions, moderation, warnings, metrics }) {
+    const cache = new Map();
+    const recent = new Map();
+
+    function cached(key) {
+        const entry = cache.get(key);
+        if (!entry) return null;
+        cache.delete(key);
+        if (Date.now() - entry.at > CACHE_TTL) return null;
+        cache.set(key, entry);
+        return entry.scores;
+    }
+
+    function remember(key, scores) {
+        cache.delete(key);
+        cache.set(key, { scores, at: Date.now() });
+        // Maps iterate in insertion order, so the first key is the least recently used.
+        if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    }
+
+    // False positives that moderators overturned aren't acted on again in
+    // that chat. The override is kept apart from the shared AI scores, so
+    // clearing a text in one group doesn't let it through in the others.
+    const cleanKey = (chatId, text) => `clean:${chatId}:${hash(text)}`;
+
+    function markClean(chatId, text) {
+        remember(cleanKey(chatId, text), Object.fromEntries(CATEGORIES.map(category => [category, 0])));
+    }
+
+    function withinRate(chatId) {
+        const now = Date.now();
+        const times = (recent.get(chatId) || []).filter(t => now - t < RATE_WINDOW);
+        if (times.length >= RATE) {
+            recent.set(chatId, times);
+            return false;
+        }
+        times.push(now);
+        recent.set(chatId, times);
+        return true;
+    }
+
+    async function classify(ctx, text, photo) {
+        const files = photo ? [await download(ctx.telegram, photo, { maxBytes: IMAGE_LIMIT, mimeType: "image/jpeg" })] : undefined;
+        const response = await ai.generate({
+            chatId: ctx.chat.id,
+            userId: ctx.from.id,
+            system: SYSTEM,
+            prompt: text ? `Message:\n${text}` : "The message is the attached image.",
+            files
+        });
+        return parseScores(response.text);
+    }
+
+    // The notice that replaces a removed message, with the appeal button.
+    async function notify(ctx, record, lines) {
+        await ctx.reply(lines.join("\n"), Markup.inlineKeyboard([
+            [Markup.button.callback(ctx.t("automod.appeal"), `automod:appeal:${record.id}`)]
+        ]));
+    }
+
+    async function act(ctx, config, verdict) {
+        const { chat, from, message } = ctx;
+        const { category, score, action } = verdict;
+        const label = ctx.t(`automod.categories.${category}`);
+        const record = await db.createAutomodCase({
+            chatId: chat.id,
+            userId: from.id,
+            userName: nameOf(from),
+            category,
+            action,
+            score,
+            text: message.text || message.caption || null
+        });
+        metrics.automodVerdicts.inc({ category, action });
+        await db.recordSpamEvent({ chatId: chat.id, userId: from.id, reason: `ai_${category}`, action });
+
+        if (action === "flag") {
+            await ctx.reply(`${ctx.t("automod.flagged", { category: label, score: percent(score) })}\n${ctx.t("automod.review")}`, {
+                reply_parameters: { message_id: message.message_id },
+                ...Markup.inlineKeyboard([[
+                    Markup.button.callback(ctx.t("automod.delete"), `automod:remove:${record.id}`),
+                    Markup.button.callback(ctx.t("automod.fine"), `automod:dismiss:${record.id}`)
+                ]])
+            });
+            return;
+        }
+
+        await ctx.telegram.deleteMessage(chat.id, message.message_id).catch(() => {});
+        const lines = [ctx.t("automod.removed", { name: nameOf(from), category: label })];
+        if (action === "warn") {
+            const { count, max, punishment } = await warnings.warn(ctx.telegram, {
+                chatId: chat.id,
+                userId: from.id,
+                reason: ctx.t("automod.warn_reason", { category: label }),
+                warnedBy: ctx.botInfo.id
+            });
+            lines.push(ctx.t("automod.warning", { count: max ? `${count}/${max}` : count }));
+            if (punishment) lines.push(ctx.t(punishment.key, punishment.params));
+        } else if (action === "mute") {
+            try {
+                await moderation.mute(ctx.telegram, chat.id, from.id, ms(config.muteDuration), config.muteDuration);
+                lines.push(ctx.t("warnings.punish.mute", { duration: config.muteDuration }));
+            } catch (err) {
+                metrics.handlerError("Automod mute", err);
+                lines.push(ctx.t("warnings.punish.failed", { action: "mute" }));
+            }
+        }
+        lines.push(ctx.t("automod.appeal_hint"));
+        await notify(ctx, record, lines);
+    }
+
+    async function review(ctx, config) {
+        const message = ctx.message;
+        const text = (message.text || message.caption || "").trim();
+        const photo = config.images && message.photo ? pickPhoto(message.photo, IMAGE_LIMIT) : null;
+        if (!photo && text.length < MIN_LENGTH) return;
+        if (await permissions.rank(ctx.chat, ctx.from.id) > 0) return;
+
+        if (!photo && cached(cleanKey(ctx.chat.id, text))) return;
+
+        const key = photo ? `photo:${photo.file_unique_id}:${hash(text)}` : hash(text);
+        let scores = cached(key);
+        if (!scores) {
+            if (!withinRate(ctx.chat.id)) return;
+            scores = await classify(ctx, text, photo);
+            remember(key, scores);
+        }
+
+        const verdict = verdictOf(scores, config);
+        if (verdict) await act(ctx, config, verdict);
+    }
+
+    // Other handlers don't wait for the AI; the review runs alongside them.
+    function middleware() {
+        return async (ctx, next) => {
+            const message = ctx.message;
+            if (!message || !ctx.from || ctx.from.is_bot || !ctx.chat || ctx.chat.type === "private") return next();
+            if ((message.text || "").startsWith("/")) return next();
+
+            const { automod: config, ai: aiSettings } = await settings.get(ctx.chat.id);
+            if (!config.enabled || !aiSettings.enabled) return next();
+
+            const reviewing = review(ctx, config).catch(err => metrics.handlerError("Automod", err));
+            await next();
+            await reviewing;
+        };
+    }
+
+    // The original notice, without the buttons' prompt line. Every notice
+    // ends with one, in whichever language it was sent.
+    function noticeOf(ctx) {
+        const text = ctx.callbackQuery.message.text || "";
+        return text.slice(0, Math.max(text.lastIndexOf("\n"), 0));
+    }
+
+    async function appeal(ctx, record) {
+        if (ctx.from.id !== Number(record.user_id)) return ctx.answerCbQuery(ctx.t("automod.author_only"));
+        if (record.status !== "open") return ctx.answerCbQuery(ctx.t("automod.handled"));
+
+        await db.setAutomodCaseStatus(record.id, "appealed");
+        const quoted = record.text ? `\n${ctx.t("automod.quoted", { text: record.text.slice(0, 300) })}` : "";
+        await ctx.editMessageText(`${noticeOf(ctx)}\n\n${ctx.t("automod.appealed", { name: nameOf(ctx.from) })}${quoted}\n${ctx.t("automod.review")}`,
+            Markup.inlineKeyboard([[
+                Markup.button.callback(ctx.t("automod.restore"), `automod:accept:${record.id}`),
+                Markup.button.callback(ctx.t("automod.reject"), `automod:reject:${record.id}`)
+            ]])
+        );
+        return ctx.answerCbQuery(ctx.t("automod.appeal_sent"));
+    }
+
+    // Undoes the action and reposts the text.
+    async function restore(ctx, record) {
+        const chatId = Number(record.chat_id);
+        const userId = Number(record.user_id);
+        if (record.action === "mute") {
+            await moderation.unmute(ctx.telegram, chatId, userId).catch(err => metrics.handlerError("Automod unmute", err));
+        } else if (record.action === "warn") {
+            await warnings.removeLatest(chatId, userId);
+        }
+        if (record.text) {
+            markClean(chatId, record.text);
+            await ctx.reply(`${ctx.t("automod.restored_message", { name: record.user_name })}\n${record.text}`);
+        }
+    }
+
+    async function decide(ctx, record, upheld) {
+        if (!(await permissions.can(ctx, "chat_moderator"))) return ctx.answerCbQuery(ctx.t("automod.moderators_only"));
+
+        const flagged = record.action === "flag";
+        if (record.status !== (flagged ? "open" : "appealed")) return ctx.answerCbQuery(ctx.t("automod.closed"));
+
+        await db.setAutomodCaseStatus(record.id, upheld ? "upheld" : "overturned");
+        let outcome;
+        if (flagged) {
+            const original = ctx.callbackQuery.message.reply_to_message;
+            if (upheld && original) await ctx.telegram.deleteMessage(ctx.chat.id, original.message_id).catch(() => {});
+            outcome = upheld ? "deleted" : "fine";
+            if (!upheld && record.text) markClean(ctx.chat.id, record.text);
+        } else {
+            if (!upheld) await restore(ctx, record);
+            outcome = upheld ? "rejected" : "restored";
+        }
+        await ctx.editMessageText(`${noticeOf(ctx)}\n\n${ctx.t(`automod.outcomes.${outcome}`, { name: nameOf(ctx.from) })}`)
+            .catch(() => {});
+        return ctx.answerCbQuery();
+    }
+
+    // Handles "automod:<appeal|accept|reject|remove|dismiss>:<case id>".
+    async function press(ctx, data) {
+        const [action, id] = data.split(":");
+        const record = await db.getAutomodCase(id);
+        if (!record || Number(record.chat_id) !== ctx.chat.id) return ctx.answerCbQuery(ctx.t("automod.gone"));
+
+        switch (action) {
+            case "appeal":
+                return appeal(ctx, record);
+            case "accept":
+            case "dismiss":
+                return decide(ctx, record, false);
+            case "reject":
+            case "remove":
+                return decide(ctx, record, true);
+            default:
+                return ctx.answerCbQuery();
+        }
+    }
+
+    return { middleware, press };
+}
+
+module.exports = { CATEGORIES, ACTIONS, parseScores, createAutomod };
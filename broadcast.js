@@ -0,0 +1,174 @@
+const { translate, translator } = require("./i18n");
+
+// Messages per second across one campaign; Telegram allows about 30.
+const RATE = parseInt(process.env.BROADCAST_RATE) || 25;
+const BATCH_SIZE = 100;
+const PROGRESS_INTERVAL = 5 * 1000;
+const MAX_RETRIES = 5;
+
+const sleep = duration => new Promise(resolve => setTimeout(resolve, duration));
+
+function formatProgress(campaign, counts, status, t) {
+    const done = counts.sent + counts.failed + counts.blocked;
+    return t("admin.broadcast.progress", {
+        id: campaign.id,
+        status: t(`admin.broadcast.status.${status}`),
+        done,
+        total: campaign.total,
+        sent: counts.sent,
+        failed: counts.failed,
+        blocked: counts.blocked
+    });
+}
+
+// Campaigns and their per-recipient delivery status live in Postgres, so a
+// broadcast interrupted by a restart continues where it stopped. Sends are
+// throttled to RATE per second and back off on 429 retry_after.
+function createBroadcaster({ db, i18n, telegram, metrics }) {
+    const running = new Map();
+
+    async function deliver(content, userId) {
+        switch (content.type) {
+            case "forward":
+                return telegram.forwardMessage(userId, content.fromChatId, content.messageId);
+            case "copy":
+                return telegram.copyMessage(userId, content.fromChatId, content.messageId);
+            default:
+                return telegram.sendMessage(userId, translate(await i18n.languageOf(userId), "admin.broadcast.message", { text: content.text }));
+        }
+    }
+
+    async function send(content, userId, control) {
+        for (let attempt = 0; attempt < MAX_RETRIES && !control.cancelled; attempt++) {
+            try {
+                await deliver(content, userId);
+                return { status: "sent" };
+            } catch (err) {
+                const response = err.response || {};
+                if (response.error_code === 429) {
+                    const retryAfter = (response.parameters && response.parameters.retry_after) || 1;
+                    await sleep(retryAfter * 1000);
+                    continue;
+                }
+                // 403: blocked by the user, deactivated account, or never started the bot.
+                const status = response.error_code === 403 ? "blocked" : "failed";
+                return { status, error: response.description || err.message };
+            }
+        }
+        return { status: "failed", error: "Too many retries" };
+    }
+
+    async function report(campaign, counts, status, t) {
+        const text = formatProgress(campaign, counts, status, t);
+        try {
+            if (campaign.progress_message_id) {
+                await telegram.editMessageText(campaign.report_chat_id, campaign.progress_message_id, undefined, text);
+            } else if (campaign.report_chat_id) {
+                const sent = await telegram.sendMessage(campaign.report_chat_id, text);
+                campaign.progress_message_id = sent.message_id;
+                await db.setBroadcastProgressMessage(campaign.id, sent.message_id);
+            }
+        } catch (err) {
+            if (!/message is not modified/.test(err.message)) console.error("Broadcast progress error:", err);
+        }
+    }
+
+    async function run(campaign) {
+        if (running.has(campaign.id)) return;
+        const control = { cancelled: false };
+        running.set(campaign.id, control);
+
+        try {
+            const t = translator(await i18n.languageOf(campaign.report_chat_id));
+            await db.setBroadcastStatus(campaign.id, "running");
+            const counts = await db.getBroadcastCounts(campaign.id);
+            await report(campaign, counts, "running", t);
+            let lastReport = Date.now();
+
+            let batch;
+            while (!control.cancelled && (batch = await db.getPendingRecipients(campaign.id, BATCH_SIZE)).length > 0) {
+                for (const userId of batch) {
+                    if (control.cancelled) break;
+                    const started = Date.now();
+
+                    const result = await send(campaign.content, userId, control);
+                    if (control.cancelled && result.status !== "sent") break;
+                    await db.setRecipientStatus(campaign.id, userId, result.status, result.error);
+                    metrics.broadcastMessages.inc({ status: result.status });
+                    if (result.status === "blocked") await db.markUserInactive(userId);
+                    counts.pending--;
+                    counts[result.status]++;
+
+                    if (Date.now() - lastReport > PROGRESS_INTERVAL) {
+                        await report(campaign, counts, "running", t);
+                        lastReport = Date.now();
+                    }
+                    await sleep(Math.max(1000 / RATE - (Date.now() - started), 0));
+                }
+            }
+
+            const status = control.cancelled ? "cancelled" : "done";
+            if (!control.cancelled) await db.setBroadcastStatus(campaign.id, status);
+            await report(campaign, counts, status, t);
+            if (campaign.report_chat_id) {
+                await telegram.sendMessage(campaign.report_chat_id, t("admin.broadcast.summary", {
+                    id: campaign.id,
+                    status: t(`admin.broadcast.status.${status}`),
+                    sent: counts.sent,
+                    failed: counts.failed,
+                    blocked: counts.blocked,
+                    total: campaign.total
+                })).catch(err => console.error("Broadcast report error:", err));
+            }
+        } catch (err) {
+            console.error(`Broadcast #${campaign.id} error:`, err);
+        } finally {
+            running.delete(campaign.id);
+        }
+    }
+
+    async function start({ createdBy, reportChatId, content, audience }) {
+        const campaign = await db.createBroadcast({ createdBy, reportChatId, content, audience });
+        run(campaign);
+        return campaign;
+    }
+
+    async function resume() {
+        const campaigns = await db.getUnfinishedBroadcasts();
+        campaigns.forEach(campaign => run(campaign));
+        return campaigns.length;
+    }
+
+    async function cancel(id) {
+        const campaign = await db.getBroadcast(id);
+        if (!campaign || !["pending", "running"].includes(campaign.status)) return null;
+        await db.setBroadcastStatus(campaign.id, "cancelled");
+        const control = running.get(campaign.id);
+        if (control) control.cancelled = true;
+        return campaign;
+    }
+
+    // A campaign with its delivery counts, or null.
+    async function get(id) {
+        const campaign = await db.getBroadcast(id);
+        if (!campaign) return null;
+        return { ...campaign, counts: await db.getBroadcastCounts(campaign.id) };
+    }
+
+    async function list(limit = 20) {
+        const campaigns = await db.listBroadcasts(limit);
+        return Promise.all(campaigns.map(async campaign => ({
+            ...campaign,
+            counts: await db.getBroadcastCounts(campaign.id)
+        })));
+    }
+
+    async function status(id, t) {
+        const campaign = await get(id);
+        return campaign && formatProgress(campaign, campaign.counts, campaign.status, t);
+    }
+
+    return { start, resume, cancel, status, get, list };
+}
+
+module.exports = { createBroadcaster };
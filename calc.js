@@ -0,0 +1,338 @@
+// Calculator used by /calc and inline calc: a tokenizer and a recursive
+// descent parser, per-user variables and unit conversions. Nothing is
+// ever passed to eval.
+
+const { DEFAULT_LANGUAGE, UserError, translator } = require("./i18n");
+
+const MAX_VARIABLES = 20;
+const MAX_USERS = 10000;
+
+const english = translator(DEFAULT_LANGUAGE);
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    abs: Math.abs,
+    round: Math.round
+};
+
+// Units convert through a base unit per kind; temperatures need an offset.
+const UNITS = {
+    length: {
+        mm: 0.001, cm: 0.01, m: 1, km: 1000,
+        in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344
+    },
+    mass: {
+        mg: 0.001, g: 1, kg: 1000, t: 1e6,
+        oz: 28.349523125, lb: 453.59237
+    },
+    volume: {
+        ml: 0.001, l: 1, cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784
+    },
+    time: {
+        ms: 0.001, s: 1, min: 60, h: 3600, d: 86400, wk: 604800
+    },
+    temperature: {
+        c: { toBase: v => v, fromBase: v => v },
+        f: { toBase: v => (v - 32) * 5 / 9, fromBase: v => v * 9 / 5 + 32 },
+        k: { toBase: v => v - 273.15, fromBase: v => v + 273.15 }
+    }
+};
+
+const UNIT_ALIASES = {
+    meter: "m", meters: "m", kilometer: "km", kilometers: "km", inch: "in", inches: "in",
+    foot: "ft", feet: "ft", yard: "yd", yards: "yd", mile: "mi", miles: "mi",
+    gram: "g", grams: "g", kilogram: "kg", kilograms: "kg", kgs: "kg", lbs: "lb", pound: "lb", pounds: "lb", ounce: "oz", ounces: "oz",
+    liter: "l", liters: "l", litre: "l", litres: "l", gallon: "gal", gallons: "gal", cups: "cup",
+    sec: "s", secs: "s", second: "s", seconds: "s", mins: "min", minute: "min", minutes: "min",
+    hr: "h", hrs: "h", hour: "h", hours: "h", day: "d", days: "d", week: "wk", weeks: "wk",
+    "°c": "c", celsius: "c", "°f": "f", fahrenheit: "f", kelvin: "k"
+};
+
+const CONVERSION = /^(.+?)\s*([a-z°]+)\s+(?:to|in)\s+([a-z°]+)$/i;
+const ASSIGNMENT = /^\s*([a-z_]\w*)\s*=(?!=)(.*)$/i;
+
+class CalcError extends UserError {
+    constructor(key, params = {}, position = null) {
+        super(`calc.errors.${key}`, params);
+        this.position = position;
+    }
+}
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// An error for a token the parser didn't expect, naming the token it
+// wanted when there was one.
+function unexpected(token, expected) {
+    const params = { expected, found: token.text };
+    const key = token.type === "end" ? "end" : "token";
+    return new CalcError(expected ? `expected_${key}` : `unexpected_${key}`, params, token.position);
+}
+
+function findUnit(name) {
+    const lower = name.toLowerCase();
+    const key = has(UNIT_ALIASES, lower) ? UNIT_ALIASES[lower] : lower;
+    for (const [kind, units] of Object.entries(UNITS)) {
+        if (has(units, key)) return { kind, key, unit: units[key] };
+    }
+    return null;
+}
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+    while (i < input.length) {
+        const rest = input.slice(i);
+        const space = rest.match(/^\s+/);
+        if (space) {
+            i += space[0].length;
+            continue;
+        }
+        const number = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i);
+        if (number) {
+            tokens.push({ type: "number", value: parseFloat(number[0]), text: number[0], position: i });
+            i += number[0].length;
+            continue;
+        }
+        const name = rest.match(/^[a-z_]\w*/i);
+        if (name) {
+            tokens.push({ type: "name", value: name[0].toLowerCase(), text: name[0], position: i });
+            i += name[0].length;
+            continue;
+        }
+        const op = rest.match(/^(\*\*|[+\-*/^%(),×÷])/);
+        if (op) {
+            const value = { "**": "^", "×": "*", "÷": "/" }[op[0]] || op[0];
+            tokens.push({ type: "op", value, text: op[0], position: i });
+            i += op[0].length;
+            continue;
+        }
+        throw new CalcError("unexpected_character", { character: input[i] }, i);
+    }
+    tokens.push({ type: "end", position: input.length });
+    return tokens;
+}
+
+// Grammar, lowest precedence first:
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("-" | "+") unary | power
+//   power      := postfix ("^" unary)?
+//   postfix    := primary "%"*
+//   primary    := number | name | name "(" arguments ")" | "(" expression ")"
+// A "%" that isn't followed by an operand is a percentage (5% = 0.05).
+function parse(input, variables = Object.create(null)) {
+    const tokens = tokenize(input);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (token, value) => token.type === "op" && token.value === value;
+    const startsOperand = token => token.type === "number" || token.type === "name" || isOp(token, "(");
+
+    function expect(value) {
+        const token = peek();
+        if (!isOp(token, value)) throw unexpected(token, value);
+        index++;
+    }
+
+    function expression() {
+        let value = term();
+        while (isOp(peek(), "+") || isOp(peek(), "-")) {
+            const op = tokens[index++].value;
+            const right = term();
+            value = op === "+" ? value + right : value - right;
+        }
+        return value;
+    }
+
+    function term() {
+        let value = unary();
+        for (;;) {
+            const token = peek();
+            if (!isOp(token, "*") && !isOp(token, "/") && !isOp(token, "%")) break;
+            index++;
+            const right = unary();
+            if (token.value !== "*" && right === 0) throw new CalcError("division_by_zero", {}, token.position);
+            if (token.value === "*") value *= right;
+            else if (token.value === "/") value /= right;
+            else value %= right;
+        }
+        return value;
+    }
+
+    function unary() {
+        if (isOp(peek(), "-")) {
+            index++;
+            return -unary();
+        }
+        if (isOp(peek(), "+")) {
+            index++;
+            return unary();
+        }
+        return power();
+    }
+
+    function power() {
+        const base = postfix();
+        if (!isOp(peek(), "^")) return base;
+        index++;
+        return Math.pow(base, unary());
+    }
+
+    function postfix() {
+        let value = primary();
+        while (isOp(peek(), "%") && !startsOperand(tokens[index + 1])) {
+            index++;
+            value /= 100;
+        }
+        return value;
+    }
+
+    function primary() {
+        const token = tokens[index++];
+        if (token.type === "number") return token.value;
+        if (isOp(token, "(")) {
+            const value = expression();
+            expect(")");
+            return value;
+        }
+        if (token.type === "name") {
+            if (has(FUNCTIONS, token.value)) {
+                expect("(");
+                const args = [expression()];
+                while (isOp(peek(), ",")) {
+                    index++;
+                    args.push(expression());
+                }
+                expect(")");
+                const fn = FUNCTIONS[token.value];
+                if (args.length !== fn.length) {
+                    throw new CalcError("arguments", { name: token.value, count: fn.length }, token.position);
+                }
+                return fn(...args);
+            }
+            if (has(CONSTANTS, token.value)) return CONSTANTS[token.value];
+            if (variables[token.value] !== undefined) return variables[token.value];
+            throw new CalcError("unknown_name", { name: token.value }, token.position);
+        }
+        throw unexpected(token);
+    }
+
+    if (peek().type === "end") throw new CalcError("empty", {}, 0);
+    const value = expression();
+    if (peek().type !== "end") throw unexpected(peek());
+    if (!Number.isFinite(value)) throw new CalcError("not_finite");
+    return value;
+}
+
+function convert(value, from, to) {
+    const source = findUnit(from);
+    const target = findUnit(to);
+    if (!source) throw new CalcError("unknown_unit", { unit: from });
+    if (!target) throw new CalcError("unknown_unit", { unit: to });
+    if (source.kind !== target.kind) throw new CalcError("incompatible", { from, to });
+    if (source.kind === "temperature") return target.unit.fromBase(source.unit.toBase(value));
+    return value * source.unit / target.unit;
+}
+
+const UNIT_LABELS = { c: "°C", f: "°F", k: "K" };
+
+// Rounds away floating point noise such as 0.1 + 0.2 = 0.30000000000000004.
+function format(value) {
+    return String(Number(value.toPrecision(12)));
+}
+
+// Evaluates a line of input against a variables object and returns what
+// happened: a plain result, an assignment or a unit conversion.
+function evaluate(input, variables = Object.create(null)) {
+    const assignment = input.match(ASSIGNMENT);
+    if (assignment) {
+        const name = assignment[1].toLowerCase();
+        if (has(CONSTANTS, name) || has(FUNCTIONS, name)) {
+            throw new CalcError("reserved", { name }, 0);
+        }
+        const offset = input.length - assignment[2].length;
+        const value = withOffset(offset, () => parse(assignment[2], variables));
+        return { type: "assignment", name, value };
+    }
+
+    const conversion = input.match(CONVERSION);
+    if (conversion && findUnit(conversion[2]) && findUnit(conversion[3])) {
+        const value = withOffset(0, () => parse(conversion[1], variables));
+        const source = findUnit(conversion[2]);
+        const target = findUnit(conversion[3]);
+        return {
+            type: "conversion",
+            value,
+            from: source.key,
+            to: target.key,
+            result: convert(value, conversion[2], conversion[3])
+        };
+    }
+
+    return { type: "result", value: parse(input, variables) };
+}
+
+// Shifts error positions when only part of the input was parsed.
+function withOffset(offset, fn) {
+    try {
+        return fn();
+    } catch (err) {
+        if (err instanceof CalcError && err.position !== null) err.position += offset;
+        throw err;
+    }
+}
+
+// Points at the spot where parsing failed, e.g. "2 + 👉)".
+function describeError(input, err, t = english) {
+    const message = t(err.key, err.params);
+    if (err.position === null) return `❌ ${message}.`;
+    const marked = `${input.slice(0, err.position)}👉${input.slice(err.position)}`;
+    return `❌ ${t("calc.at_position", { message, position: err.position + 1 })}\n${marked}`;
+}
+
+// Keeps each user's variables in memory. The least recently used users
+// are dropped once there are too many.
+function createCalculator() {
+    const users = new Map();
+
+    function variablesOf(userId) {
+        const variables = users.get(userId) || Object.create(null);
+        users.delete(userId);
+        users.set(userId, variables);
+        if (users.size > MAX_USERS) users.delete(users.keys().next().value);
+        return variables;
+    }
+
+    function run(userId, input, t = english) {
+        const variables = variablesOf(userId);
+        try {
+            const outcome = evaluate(input, variables);
+            if (outcome.type === "assignment") {
+                if (variables[outcome.name] === undefined && Object.keys(variables).length >= MAX_VARIABLES) {
+                    return `❌ ${t("calc.too_many_variables", { count: MAX_VARIABLES })}`;
+                }
+                variables[outcome.name] = outcome.value;
+                return `🧮 ${outcome.name} = ${format(outcome.value)}`;
+            }
+            if (outcome.type === "conversion") {
+                const label = unit => UNIT_LABELS[unit] || unit;
+                return `🧮 ${format(outcome.value)} ${label(outcome.from)} = ${format(outcome.result)} ${label(outcome.to)}`;
+            }
+            return `🧮 ${t("calc.result", { value: format(outcome.value) })}`;
+        } catch (err) {
+            if (err instanceof CalcError) return describeError(input, err, t);
+            throw err;
+        }
+    }
+
+    return { run };
+}
+
+module.exports = { CalcError, parse, evaluate, createCalculator };
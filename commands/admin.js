@@ -0,0 +1,179 @@
+
+// Spam event reasons, including the AI moderator's "ai_<category>" ones.
+function reasonLabel(t, reason) {
+    if (!reason.startsWith("ai_")) return t(`antiflood.reasons.${reason}`, {}, reason);
+    const category = reason.slice(3);
+    return t("admin.stats.ai_reason", { category: t(`automod.categories.${category}`, {}, category) });
+}
+
+const ACTIVE_LIST_LIMIT = 50;
+const EXPORT_DAYS = 30;
+
+// Leading flags: --days N (seen in the last N days), --chat ID (seen in that
+// chat) and --forward (forward the replied message instead of copying it).
+function parseBroadcastOptions(input) {
+    const options = { audience: {}, forward: false };
+    let rest = input.trim();
+
+    while (rest.startsWith("--")) {
+        const [flag] = rest.split(/\s/, 1);
+        rest = rest.slice(flag.length).trim();
+        if (flag === "--forward") {
+            options.forward = true;
+            continue;
+        }
+        const [value = ""] = rest.split(/\s/, 1);
+        rest = rest.slice(value.length).trim();
+        const number = parseInt(value);
+        if (isNaN(number)) return null;
+        if (flag === "--days") options.audience.days = number;
+        else if (flag === "--chat") options.audience.chatId = number;
+        else return null;
+    }
+
+    options.text = rest;
+    return options;
+}
+
+module.exports = ({ db, enforcement, broadcaster, analytics }) => [
+    {
+        name: "active",
+        description: "Users seen in the last 24 hours",
+        permission: "moderator",
+        handler: async (ctx) => {
+            const { users, total } = await db.getRecentUsers(24, ACTIVE_LIST_LIMIT);
+            if (total === 0) return ctx.t("admin.active.none");
+            const lines = users.map(u => {
+                const name = u.username ? `@${u.username}` : u.first_name;
+                return name ? `${name} (${u.user_id})` : String(u.user_id);
+            });
+            const more = total > users.length ? `\n${ctx.t("admin.active.more", { count: total - users.length })}` : "";
+            return `${ctx.t("admin.active.title", { count: total })}\n${lines.join("\n")}${more}`;
+        }
+    },
+    {
+        name: "shutdown",
+        description: "Shutdown bot",
+        permission: "owner",
+        handler: async (ctx) => {
+            await enforcement.setActive(false);
+            return ctx.t("admin.shutdown");
+        }
+    },
+    {
+        name: "poweron",
+        description: "Turn the bot back on",
+        permission: "owner",
+        handler: async (ctx) => {
+            await enforcement.setActive(true);
+            return ctx.t("admin.poweron");
+        }
+    },
+    {
+        name: "maintenance",
+        description: "Maintenance mode (on [message] / off)",
+        permission: "owner",
+        args: [{ name: "mode", required: true }, { name: "message", rest: true }],
+        handler: async (ctx, { mode, message }) => {
+            if (mode.toLowerCase() === "off") {
+                await enforcement.setMaintenance(null);
+                return ctx.t("admin.maintenance.off");
+            }
+            if (mode.toLowerCase() !== "on") return ctx.t("errors.usage", { usage: "/maintenance <on|off> [message]" });
+            await enforcement.setMaintenance(message || true);
+            return ctx.t("admin.maintenance.on");
+        }
+    },
+    {
+        name: "broadcast",
+        description: "Send a message to all users (reply to forward media; status/cancel)",
+        permission: "owner",
+        args: [{ name: "message", rest: true }],
+        handler: async (ctx, { message = "" }) => {
+            const [action, id] = message.split(/\s+/);
+            if (action === "cancel") {
+                const campaign = await broadcaster.cancel(parseInt(id) || null);
+                return campaign ? ctx.t("admin.broadcast.cancelled", { id: campaign.id }) : ctx.t("admin.broadcast.none_running");
+            }
+            if (action === "status") {
+                return (await broadcaster.status(parseInt(id) || null, ctx.t)) || ctx.t("admin.broadcast.not_found");
+            }
+
+            const options = parseBroadcastOptions(message);
+            const reply = ctx.message.reply_to_message;
+            if (!options || (!options.text && !reply)) return ctx.t("admin.broadcast.usage");
+
+            const content = reply
+                ? { type: options.forward ? "forward" : "copy", fromChatId: ctx.chat.id, messageId: reply.message_id }
+                : { type: "text", text: options.text };
+            const campaign = await broadcaster.start({
+                createdBy: ctx.from.id,
+                reportChatId: ctx.chat.id,
+                content,
+                audience: options.audience
+            });
+            return ctx.t("admin.broadcast.queued", { id: campaign.id, count: campaign.total });
+        }
+    },
+    {
+        name: "ban",
+        description: "Ban a user",
+        permission: "moderator",
+        args: [{ name: "id", type: "int", required: true }],
+        handler: async (ctx, { id }) => {
+            await enforcement.ban(id);
+            return ctx.t("admin.banned", { id });
+        }
+    },
+    {
+        name: "unban",
+        description: "Unban a user",
+        permission: "moderator",
+        args: [{ name: "id", type: "int", required: true }],
+        handler: async (ctx, { id }) => {
+            await enforcement.unban(id);
+            return ctx.t("admin.unbanned", { id });
+        }
+    },
+    {
+        name: "listbanned",
+        description: "List banned users",
+        permission: "moderator",
+        handler: async (ctx) => {
+            const banned = await db.getAllBannedUsers();
+            return `${ctx.t("admin.banned_list")}\n${banned.join("\n") || ctx.t("admin.none")}`;
+        }
+    },
+    {
+        name: "stats",
+        description: "Bot stats (export [days] for a CSV of events)",
+        permission: "moderator",
+        args: [{ name: "mode" }, { name: "days", type: "int" }],
+        handler: async (ctx, { mode, days }) => {
+            if (mode && mode.toLowerCase() === "export") {
+                days = Math.min(Math.max(days || EXPORT_DAYS, 1), 365);
+                const csv = await analytics.exportCsv(days);
+                const date = new Date().toISOString().slice(0, 10);
+                await ctx.replyWithDocument(
+                    { source: Buffer.from(csv), filename: `events-${date}-${days}d.csv` },
+                    { caption: ctx.t("admin.stats.export", { count: days }) }
+                );
+                return;
+            }
+            if (mode) return ctx.t("errors.usage", { usage: "/stats [export [days]]" });
+
+            const { botActive, maintenance } = enforcement.state;
+            const status = ctx.t(`admin.stats.status.${!botActive ? "off" : maintenance ? "maintenance" : "on"}`);
+            const report = await analytics.report();
+            const chatTitle = async chatId => (await ctx.telegram.getChat(chatId)).title;
+            let msg = `${ctx.t("admin.stats.title", { status })}\n\n${await analytics.formatReport(report, ctx.t, chatTitle)}`;
+
+            const inGroup = ctx.chat.type !== "private";
+            const spam = await db.getSpamStats(inGroup ? ctx.chat.id : null);
+            const total = spam.reduce((sum, r) => sum + r.count, 0);
+            msg += `\n\n${ctx.t(inGroup ? "admin.stats.spam_chat" : "admin.stats.spam", { count: total })}`;
+            spam.forEach(r => msg += `\n• ${reasonLabel(ctx.t, r.reason)}: ${r.count}`);
+            return msg;
+        }
+    }
+];
@@ -0,0 +1,193 @@
+const { normalizeLanguage } = require("../translator");
+const { MediaError, attachmentOf, read } = require("../media");
+
+// What /ask asks when it's sent as a bare reply to a file.
+const DEFAULT_QUESTIONS = {
+    photo: "Describe this image.",
+    voice: "Transcribe this voice note, then respond to what it says.",
+    audio: "Transcribe or describe this audio, then summarize it.",
+    document: "Summarize this document."
+};
+
+// The question for a replied-to file, with its caption or, for text
+// documents, its contents. Returns { question, files }.
+async function questionAbout(ctx, attachment, question, caption) {
+    const content = await read(ctx.telegram, attachment);
+    let text = question || DEFAULT_QUESTIONS[attachment.kind];
+    if (caption) text += `\n\nCaption: ${caption}`;
+    if (content.text !== undefined) text += `\n\nDocument "${attachment.name}":\n${content.text}`;
+    return { question: text, files: content.files };
+}
+
+module.exports = ({ ai, conversations, settings, permissions, translator, metrics }) => [
+    {
+        name: "ask",
+        description: "Ask the bot anything, or reply to a photo, voice note or document",
+        title: "🤖 AI Answer",
+        ai: true,
+        args: [{ name: "question", rest: true }],
+        handler: async (ctx, { question }) => {
+            const original = ctx.message && ctx.message.reply_to_message;
+            const attachment = attachmentOf(original);
+            if (!question && !attachment) {
+                return ctx.inlineQuery ? null : ctx.t("ai.ask_usage");
+            }
+
+            try {
+                // Inline answers have no chat to keep a thread in.
+                if (ctx.inlineQuery) {
+                    const response = await ai.generate({ userId: ctx.from.id, prompt: question });
+                    return response.text;
+                }
+                if (attachment) {
+                    const about = await questionAbout(ctx, attachment, question, original.caption);
+                    return await conversations.reply(ctx, about.question, about.files);
+                }
+                return await conversations.reply(ctx, question);
+            } catch (err) {
+                if (err instanceof MediaError) return `❌ ${ctx.t(err.key, err.params)}`;
+                metrics.handlerError("/ask", err);
+                return ctx.t("errors.generic");
+            }
+        }
+    },
+    {
+        name: "reset",
+        description: "Forget this chat's /ask conversation (chat admins in groups)",
+        inline: false,
+        handler: async (ctx) => {
+            // Group threads are shared, so only chat admins may wipe them.
+            if (ctx.chat.type !== "private" && !(await permissions.can(ctx, "chat_moderator"))) {
+                return ctx.t("ai.reset_admins");
+            }
+            await conversations.reset(ctx.chat.id);
+            return ctx.t("ai.reset");
+        }
+    },
+    {
+        name: "persona",
+        description: "Set how the AI behaves in this chat (/persona off to clear)",
+        permission: "chat_moderator",
+        args: [{ name: "text", rest: true }],
+        handler: async (ctx, { text }) => {
+            if (!text) {
+                const persona = await conversations.getPersona(ctx.chat.id);
+                return persona ? `${ctx.t("ai.persona.current")}\n${persona}` : ctx.t("ai.persona.none");
+            }
+            if (["off", "clear", "reset"].includes(text.toLowerCase())) {
+                await conversations.setPersona(ctx.chat.id, null);
+                return ctx.t("ai.persona.cleared");
+            }
+            await conversations.setPersona(ctx.chat.id, text);
+            return ctx.t("ai.persona.updated");
+        }
+    },
+    {
+        name: "trt",
+        description: "Translate a message, photo or voice note (reply to msg): /trt [language]",
+        inline: false,
+        ai: true,
+        args: [{ name: "lang", rest: true }],
+        handler: async (ctx, { lang }) => {
+            const original = ctx.message.reply_to_message;
+            if (!original) return ctx.t("ai.trt.reply");
+
+            // Captions are translated as text; otherwise the text in an image
+            // or the speech in a voice note is.
+            const text = original.text || original.caption;
+            const attachment = text ? null : attachmentOf(original);
+            if (!text && !attachment) return ctx.t("ai.trt.no_text");
+
+            const { translation } = await settings.get(ctx.chat.id);
+            const target = lang ? normalizeLanguage(lang) : translation.language;
+            if (!target) return ctx.t("ai.trt.unknown");
+
+            try {
+                const content = attachment ? await read(ctx.telegram, attachment) : { text };
+                const result = await translator.translate({
+                    chatId: ctx.chat.id,
+                    userId: ctx.from.id,
+                    text: content.text,
+                    entities: attachment ? undefined : original.entities || original.caption_entities,
+                    target,
+                    files: content.files
+                });
+                if (result.empty) return ctx.t("ai.trt.empty");
+                return { text: translator.format(result, target, ctx.t), parse_mode: "HTML" };
+            } catch (err) {
+                if (err instanceof MediaError) return `❌ ${ctx.t(err.key, err.params)}`;
+                metrics.handlerError("/trt", err);
+                return ctx.t("ai.trt.failed");
+            }
+        }
+    },
+    {
+        name: "autotranslate",
+        description: "Translate every message in this chat: /autotranslate <language|off>",
+        permission: "chat_moderator",
+        ai: true,
+        args: [{ name: "lang", rest: true }],
+        handler: async (ctx, { lang }) => {
+            if (ctx.chat.type === "private") return ctx.t("ai.auto.private");
+
+            if (!lang) {
+                const { translation } = await settings.get(ctx.chat.id);
+                return translation.auto
+                    ? ctx.t("ai.auto.status_on", { language: translation.auto })
+                    : ctx.t("ai.auto.status_off");
+            }
+            if (lang.toLowerCase() === "off") {
+                await settings.update(ctx.chat.id, "translation", { auto: null });
+                return ctx.t("ai.auto.off");
+            }
+
+            const target = normalizeLanguage(lang);
+            if (!target) return ctx.t("ai.auto.unknown");
+            await settings.update(ctx.chat.id, "translation", { auto: target });
+            return ctx.t("ai.auto.on", { language: target });
+        }
+    },
+    {
+        name: "notranslate",
+        description: "Stop or resume auto-translating your messages here",
+        inline: false,
+        handler: async (ctx) => {
+            if (ctx.chat.type === "private") return ctx.t("ai.auto.private");
+
+            const { translation } = await settings.get(ctx.chat.id);
+            const optedOut = translation.optOut.includes(ctx.from.id);
+            const optOut = optedOut
+                ? translation.optOut.filter(id => id !== ctx.from.id)
+                : [...translation.optOut, ctx.from.id];
+            await settings.update(ctx.chat.id, "translation", { optOut });
+            return ctx.t(optedOut ? "ai.auto.opted_in" : "ai.auto.opted_out");
+        }
+    },
+    {
+        name: "aiprovider",
+        description: "Choose the AI provider for this chat",
+        permission: "moderator",
+        args: [{ name: "provider" }],
+        handler: async (ctx, { provider }) => {
+            const providers = ai.listProviders();
+            if (!provider) {
+                const current = await ai.getChatProvider(ctx.chat.id);
+                const lines = providers.map(p => `• ${p.name} (${p.model})${p.configured ? "" : ` — ${ctx.t("ai.provider.not_configured")}`}`);
+                const name = current || ctx.t("ai.provider.default", { name: ai.primary });
+                return `${ctx.t("ai.provider.current", { name })}\n\n${lines.join("\n")}\n\n${ctx.t("ai.provider.usage")}`;
+            }
+
+            const name = provider.toLowerCase();
+            if (name === "default") {
+                await ai.setChatProvider(ctx.chat.id, null);
+                return ctx.t("ai.provider.reset", { name: ai.primary });
+            }
+            const match = providers.find(p => p.name === name);
+            if (!match) return ctx.t("ai.provider.unknown", { providers: providers.map(p => p.name).join(", ") });
+            if (!match.configured) return ctx.t("ai.provider.no_key", { name: match.name });
+
+            await ai.setChatProvider(ctx.chat.id, match.name);
+            return ctx.t("ai.provider.set", { name: match.name, model: match.model });
+        }
+    }
+];
@@ -0,0 +1,108 @@
+const { Markup } = require("telegraf");
+const { CATEGORIES } = require("../content");
+const { translate } = require("../i18n");
+
+const PAGE_SIZE = 20;
+
+function reviewPanel(t, item) {
+    if (!item) return { text: t("content.queue_empty") };
+    return {
+        text: `${t("content.submission", { id: item.id, category: item.category, user: item.submitted_by })}\n\n${item.text}`,
+        ...Markup.inlineKeyboard([
+            Markup.button.callback(t("content.approve"), `review:approve:${item.id}`),
+            Markup.button.callback(t("content.reject"), `review:reject:${item.id}`)
+        ])
+    };
+}
+
+module.exports = ({ content, i18n }) => [
+    {
+        name: "addcontent",
+        description: "Add a joke, fact, quote, etc. to the library",
+        permission: "moderator",
+        args: [{ name: "category", required: true }, { name: "text", rest: true, required: true }],
+        handler: async (ctx, { category, text }) => {
+            category = category.toLowerCase();
+            const error = content.validate(ctx.t, category, text);
+            if (error) return error;
+
+            const item = await content.add(category, text, ctx.from.id);
+            return item ? ctx.t("content.added", { category, id: item.id }) : ctx.t("content.exists");
+        }
+    },
+    {
+        name: "removecontent",
+        description: "Remove a library entry by id",
+        permission: "moderator",
+        args: [{ name: "id", type: "int", required: true }],
+        handler: async (ctx, { id }) => {
+            const item = await content.remove(id, ctx.from.id);
+            return item ? ctx.t("content.removed", { category: item.category, id }) : ctx.t("content.not_found", { id });
+        }
+    },
+    {
+        name: "listcontent",
+        description: "List library entries: [category] [page]",
+        permission: "moderator",
+        args: [{ name: "category" }, { name: "page", type: "int" }],
+        handler: async (ctx, { category, page }) => {
+            if (!category) {
+                const approved = await content.counts("approved");
+                const pending = await content.counts("pending");
+                const count = name => (approved.find(row => row.category === name) || { count: 0 }).count;
+                const waiting = pending.reduce((sum, row) => sum + row.count, 0);
+                return `${ctx.t("content.library")}\n` +
+                    CATEGORIES.map(name => `${name}: ${count(name)}`).join("\n") +
+                    `\n\n${ctx.t("content.waiting", { count: waiting })}` +
+                    `\n${ctx.t("content.list_hint")}`;
+            }
+
+            category = category.toLowerCase();
+            if (!content.isCategory(category)) return ctx.t("content.unknown_category", { categories: CATEGORIES.join(", ") });
+
+            const [row] = await content.counts("approved", category);
+            const pages = Math.max(Math.ceil((row ? row.count : 0) / PAGE_SIZE), 1);
+            page = Math.min(Math.max(page || 1, 1), pages);
+            const items = await content.list(category, PAGE_SIZE, (page - 1) * PAGE_SIZE);
+            if (items.length === 0) return ctx.t("content.empty", { category });
+
+            return `${ctx.t("content.page", { category, page, pages })}\n\n` +
+                items.map(item => `#${item.id}: ${item.text}`).join("\n");
+        }
+    },
+    {
+        name: "submit",
+        description: "Suggest a joke, fact, quote, etc.: <category> <text>",
+        inline: false,
+        args: [{ name: "category", required: true }, { name: "text", rest: true, required: true }],
+        handler: async (ctx, { category, text }) => {
+            category = category.toLowerCase();
+            const error = content.validate(ctx.t, category, text);
+            if (error) return error;
+
+            const item = await content.submit(category, text, ctx.from.id);
+            return ctx.t(item ? "content.submitted" : "content.duplicate");
+        }
+    },
+    {
+        name: "review",
+        description: "Review submitted content",
+        permission: "moderator",
+        handler: async (ctx) => reviewPanel(ctx.t, await content.nextPending()),
+        callback: async (ctx, data) => {
+            const [action, id] = data.split(":");
+            const item = await content.review(Number(id), action === "approve", ctx.from.id);
+
+            if (item && item.status === "approved" && item.submitted_by) {
+                const lang = await i18n.languageOf(item.submitted_by);
+                await ctx.telegram.sendMessage(item.submitted_by,
+                    `${translate(lang, "content.approved", { category: item.category })}\n${item.text}`
+                ).catch(() => {});
+            }
+
+            const { text, ...extra } = reviewPanel(ctx.t, await content.nextPending());
+            await ctx.editMessageText(text, extra).catch(() => {});
+            await ctx.answerCbQuery(item ? ctx.t(`content.status.${item.status}`, { id }) : ctx.t("content.reviewed"));
+        }
+    }
+];
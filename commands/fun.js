@@ -0,0 +1,158 @@
+const VIBES = ["Chill", "Angry", "Happy", "Tired", "Excited", "Mysterious"];
+const EMOJIS = ["😀", "🔥", "⚡", "💀", "💎", "👻", "🤖", "🎉", "💯", "🌟"];
+const GAMES = ["Apex Legends", "Fortnite", "Minecraft", "Valorant", "GTA V", "Call of Duty"];
+const MOVIES = ["Interstellar", "Inception", "The Dark Knight", "Avatar", "Titanic", "Avengers"];
+
+function pick(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+module.exports = ({ content }) => [
+    {
+        name: "math",
+        description: "Random math fact",
+        title: "➗ Math Fact",
+        handler: (ctx) => content.pick(ctx, "math")
+    },
+    {
+        name: "joke",
+        description: "Random joke",
+        title: "😂 Get a Joke",
+        handler: (ctx) => content.pick(ctx, "joke")
+    },
+    {
+        name: "fact",
+        description: "Random fact",
+        title: "📘 Get a Fact",
+        handler: (ctx) => content.pick(ctx, "fact")
+    },
+    {
+        name: "quote",
+        description: "Random quote",
+        title: "💬 Get a Quote",
+        handler: (ctx) => content.pick(ctx, "quote")
+    },
+    {
+        name: "random",
+        description: "Random number",
+        title: "🎲 Random Number",
+        handler: () => "🎲 " + Math.floor(Math.random() * 100)
+    },
+    {
+        name: "roll",
+        description: "Dice roll",
+        title: "🎲 Roll a Dice",
+        handler: ctx => ctx.t("fun.roll", { value: 1 + Math.floor(Math.random() * 6) })
+    },
+    {
+        name: "flip",
+        description: "Coin flip",
+        title: "🪙 Flip a Coin",
+        handler: ctx => ctx.t(pick(["fun.heads", "fun.tails"]))
+    },
+    {
+        name: "choose",
+        description: "Let bot choose between words",
+        title: "🤖 Choose",
+        args: [{ name: "words", rest: true, required: true }],
+        handler: (ctx, { words }) => ctx.t("fun.choose", { choice: pick(words.split(/\s+/)) })
+    },
+    {
+        name: "love",
+        description: "Love percentage",
+        title: "❤️ Love Calculator",
+        args: [{ name: "name", rest: true }],
+        handler: (ctx, { name }) => {
+            const percent = Math.floor(Math.random() * 100);
+            return name ? ctx.t("fun.love_for", { name, percent }) : ctx.t("fun.love", { percent });
+        }
+    },
+    {
+        name: "hack",
+        description: "Fake hack",
+        title: "💻 Fake Hack",
+        handler: ctx => ctx.t("fun.hack")
+    },
+    {
+        name: "vibe",
+        description: "Random vibe check",
+        title: "💫 Vibe Check",
+        handler: ctx => ctx.t("fun.vibe", { vibe: pick(VIBES) })
+    },
+    {
+        name: "emoji",
+        description: "Random emoji",
+        title: "🎭 Random Emoji",
+        handler: () => pick(EMOJIS)
+    },
+    {
+        name: "weather",
+        description: "Fake weather",
+        title: "🌤️ Weather",
+        handler: ctx => ctx.t("fun.weather")
+    },
+    {
+        name: "ip",
+        description: "Fake IP check",
+        title: "🌍 Fake IP",
+        handler: ctx => ctx.t("fun.ip", { ip: "192.168.0." + Math.floor(Math.random() * 255) })
+    },
+    {
+        name: "roast",
+        description: "Roast someone",
+        title: "🔥 Roast",
+        handler: (ctx) => content.pick(ctx, "roast")
+    },
+    {
+        name: "bless",
+        description: "Bless someone",
+        title: "✨ Blessing",
+        handler: (ctx) => content.pick(ctx, "bless")
+    },
+    {
+        name: "cat",
+        description: "Random cat",
+        title: "🐱 Cat",
+        handler: ctx => ctx.t("fun.cat")
+    },
+    {
+        name: "dog",
+        description: "Random dog",
+        title: "🐶 Dog",
+        handler: ctx => ctx.t("fun.dog")
+    },
+    {
+        name: "anime",
+        description: "Random anime quote",
+        title: "🎌 Anime Quote",
+        handler: (ctx) => content.pick(ctx, "anime")
+    },
+    {
+        name: "game",
+        description: "Random game name",
+        title: "🎮 Random Game",
+        handler: ctx => ctx.t("fun.game", { game: pick(GAMES) })
+    },
+    {
+        name: "movie",
+        description: "Random movie name",
+        title: "🎬 Random Movie",
+        handler: ctx => ctx.t("fun.movie", { movie: pick(MOVIES) })
+    },
+    {
+        name: "rate",
+        description: "Rate anything",
+        title: "⭐ Rate",
+        args: [{ name: "thing", rest: true, required: true }],
+        handler: (ctx, { thing }) => ({
+            text: ctx.t("fun.rate", { thing, score: Math.floor(Math.random() * 10) }),
+            parse_mode: "Markdown"
+        })
+    },
+    {
+        name: "secret",
+        description: "Random secret",
+        title: "🤫 Secret",
+        handler: (ctx) => content.pick(ctx, "secret")
+    }
+];
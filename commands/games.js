@@ -0,0 +1,47 @@
+// Button games started from a command or inline mode; see games.js.
+module.exports = ({ games }) => {
+    // The current chat's standings in groups; everyone's in private chats
+    // and inline mode.
+    const scopeOf = chat => chat && chat.type !== "private" ? chat.id : null;
+
+    return [
+        {
+            name: "trivia",
+            description: "Trivia quiz: [questions] [category | ai <topic>]",
+            title: "🎯 Trivia",
+            args: [{ name: "options", rest: true }],
+            handler: (ctx, { options }) => games.trivia(ctx, options),
+            callback: (ctx, data) => games.press(ctx, "trivia", data)
+        },
+        {
+            name: "hangman",
+            description: "Guess the word together, letter by letter",
+            title: "🔤 Hangman",
+            handler: ctx => games.hangman(ctx),
+            callback: (ctx, data) => games.press(ctx, "hangman", data)
+        },
+        {
+            name: "duel",
+            description: "Dice duel (reply to challenge someone, or anyone can accept)",
+            title: "🎲 Dice Duel",
+            handler: ctx => {
+                const reply = ctx.message && ctx.message.reply_to_message;
+                const opponent = reply && !reply.from.is_bot && reply.from.id !== ctx.from.id ? reply.from : null;
+                return games.duel(ctx, opponent);
+            },
+            callback: (ctx, data) => games.press(ctx, "duel", data)
+        },
+        {
+            name: "leaderboard",
+            description: "Game standings: this week and all time",
+            title: "🏆 Leaderboard",
+            args: [{ name: "period" }],
+            handler: (ctx, { period }) => games.leaderboard(scopeOf(ctx.chat), period === "all" ? "all" : "week", ctx.t),
+            callback: async (ctx, period) => {
+                const { text, ...extra } = await games.leaderboard(scopeOf(ctx.chat), period === "all" ? "all" : "week", ctx.t);
+                await ctx.editMessageText(text, extra).catch(() => {});
+                await ctx.answerCbQuery();
+            }
+        }
+    ];
+};
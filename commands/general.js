@@ -0,0 +1,125 @@
+const { LANGUAGES, normalizeLanguage, translate } = require("../i18n");
+
+const languageName = lang => translate(lang, "language.name");
+
+module.exports = ({ registry, settings, permissions, i18n }) => [
+    {
+        name: "start",
+        description: "Start the bot",
+        inline: false,
+        toggleable: false,
+        handler: ctx => ctx.t("general.start")
+    },
+    {
+        name: "help",
+        description: "Show help info",
+        inline: false,
+        toggleable: false,
+        handler: ctx => ctx.t("general.help")
+    },
+    {
+        name: "menu",
+        description: "Show full command list",
+        title: "📜 Command List",
+        toggleable: false,
+        handler: async (ctx) => {
+            const chatId = ctx.chat ? ctx.chat.id : ctx.from.id;
+            const hidden = [];
+            for (const command of registry.list()) {
+                if (!(await settings.isCommandEnabled(chatId, command))) hidden.push(command.name);
+            }
+            return { text: registry.menuText(ctx.t, hidden), parse_mode: "Markdown" };
+        }
+    },
+    {
+        name: "lang",
+        description: "Show or set your language (chat <code> for the group)",
+        inline: false,
+        toggleable: false,
+        args: [{ name: "code" }, { name: "chatCode" }],
+        handler: async (ctx, { code, chatCode }) => {
+            const available = LANGUAGES.map(l => `${l} (${languageName(l)})`).join(", ");
+            if (!code) {
+                const { lang, source } = await i18n.resolve(ctx);
+                return ctx.t("lang.current", { language: languageName(lang), source: ctx.t(`lang.sources.${source}`), available });
+            }
+
+            if (code.toLowerCase() === "chat" && chatCode) {
+                if (ctx.chat.type === "private") return ctx.t("lang.chat_private");
+                if (!(await permissions.can(ctx, "chat_moderator"))) return ctx.t("errors.unauthorized");
+                if (chatCode.toLowerCase() === "auto") {
+                    await settings.update(ctx.chat.id, "locale", { language: null });
+                    return ctx.t("lang.chat_reset");
+                }
+                const lang = normalizeLanguage(chatCode);
+                if (!lang) return ctx.t("lang.unknown", { input: chatCode, available });
+                await settings.update(ctx.chat.id, "locale", { language: lang });
+                return translate(lang, "lang.chat_set", { language: languageName(lang) });
+            }
+
+            if (code.toLowerCase() === "auto") {
+                await i18n.setUserLanguage(ctx.from.id, null);
+                const { lang } = await i18n.resolve(ctx);
+                return translate(lang, "lang.user_reset");
+            }
+            const lang = normalizeLanguage(code);
+            if (!lang) return ctx.t("lang.unknown", { input: code, available });
+            await i18n.setUserLanguage(ctx.from.id, lang);
+            return translate(lang, "lang.user_set", { language: languageName(lang) });
+        }
+    },
+    {
+        name: "ping",
+        description: "Check bot speed",
+        title: "🏓 Ping",
+        handler: ctx => ctx.t("general.pong")
+    },
+    {
+        name: "time",
+        description: "Get current time",
+        title: "🕐 Current Time",
+        handler: ctx => "🕐 " + new Date().toLocaleTimeString(ctx.lang)
+    },
+    {
+        name: "date",
+        description: "Get today's date",
+        title: "📅 Today's Date",
+        handler: ctx => "📅 " + new Date().toLocaleDateString(ctx.lang, { weekday: "short", year: "numeric", month: "short", day: "numeric" })
+    },
+    {
+        name: "id",
+        description: "Get your Telegram ID",
+        title: "🪪 Your ID",
+        handler: ctx => ctx.t("general.your_id", { id: ctx.from.id })
+    },
+    {
+        name: "alive",
+        description: "Check if bot is alive",
+        title: "🔥 Alive Check",
+        handler: ctx => ctx.t("general.alive")
+    },
+    {
+        name: "avatar",
+        description: "Get your profile photo",
+        inline: false,
+        handler: ctx => ctx.t("general.avatar")
+    },
+    {
+        name: "about",
+        description: "About the bot",
+        title: "🤖 About",
+        handler: ctx => ctx.t("general.about")
+    },
+    {
+        name: "owner",
+        description: "Bot owner info",
+        title: "👑 Owner",
+        handler: ctx => ctx.t("general.owner")
+    },
+    {
+        name: "animeclips",
+        description: "Get anime clips link",
+        title: "🔥 Anime Clips",
+        handler: ctx => ctx.t("general.animeclips", { url: "https://hiitwixtor.com/" })
+    }
+];
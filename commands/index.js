@@ -0,0 +1,17 @@
+// Command modules in /menu order. Each one receives the shared services
+// and returns its command definitions (see registry.js).
+module.exports = [
+    require("./general"),
+    require("./fun"),
+    require("./games"),
+    require("./content"),
+    require("./text"),
+    require("./ai"),
+    require("./admin"),
+    require("./roles"),
+    require("./moderation"),
+    require("./warnings"),
+    require("./welcome"),
+    require("./reminders"),
+    require("./settings")
+];
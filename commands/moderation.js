@@ -0,0 +1,195 @@
+const ms = require("ms");
+const { CATEGORIES, ACTIONS } = require("../automod");
+
+// /antiflood set <key> <value>: setting name and how to read the value.
+const ANTIFLOOD_KEYS = {
+    messages: { field: "maxMessages", type: "int" },
+    window: { field: "window", type: "duration" },
+    repeats: { field: "maxRepeats", type: "int" },
+    mentions: { field: "maxMentions", type: "int" },
+    newmember: { field: "newMemberPeriod", type: "duration" },
+    action: { field: "action", values: ["delete", "mute", "kick"] },
+    mute: { field: "muteDuration", type: "duration" }
+};
+
+function parseAntifloodValue(spec, value) {
+    if (spec.type === "int") {
+        const number = parseInt(value);
+        return number > 0 ? number : null;
+    }
+    if (spec.type === "duration") return isNaN(ms(value)) ? null : value;
+    return spec.values.includes(value) ? value : null;
+}
+
+module.exports = ({ moderation, permissions, settings, automod, metrics }) => [
+    {
+        name: "kick",
+        description: "Kick a user",
+        permission: "chat_moderator",
+        args: [{ name: "id", type: "int" }],
+        handler: async (ctx, { id }) => {
+            const reply = ctx.message.reply_to_message;
+            const userId = reply ? reply.from.id : id;
+            if (!userId) return ctx.t("moderation.kick.target");
+            if (await permissions.rank(ctx.chat, userId) > 0) return ctx.t("moderation.kick.admin");
+
+            try {
+                await moderation.kick(ctx.telegram, ctx.chat.id, userId);
+                return ctx.t("moderation.kick.done", { id: userId });
+            } catch (err) {
+                metrics.handlerError("/kick", err);
+                return ctx.t("moderation.kick.failed");
+            }
+        }
+    },
+    {
+        name: "clear",
+        description: "Delete last 5 messages",
+        permission: "chat_moderator",
+        handler: async (ctx) => {
+            const chatId = ctx.chat.id;
+            for (let i = 0; i < 5; i++) {
+                try {
+                    await ctx.telegram.deleteMessage(chatId, ctx.message.message_id - i);
+                } catch {}
+            }
+        }
+    },
+    {
+        name: "tagall",
+        description: "Tag everyone",
+        permission: "chat_moderator",
+        handler: () => "📣 @everyone"
+    },
+    {
+        name: "mute",
+        description: "Timed mute, reply to msg (e.g., /mute 10m)",
+        permission: "chat_moderator",
+        args: [{ name: "duration", type: "duration", required: true }],
+        handler: async (ctx, { duration }) => {
+            if (!ctx.message.reply_to_message) return ctx.t("moderation.mute.target");
+
+            const userId = ctx.message.reply_to_message.from.id;
+            if (await permissions.rank(ctx.chat, userId) > 0) return ctx.t("moderation.mute.admin");
+            try {
+                await moderation.mute(ctx.telegram, ctx.chat.id, userId, ms(duration), duration);
+                return ctx.t("moderation.mute.done", { duration });
+            } catch (err) {
+                metrics.handlerError("/mute", err);
+                return ctx.t("moderation.mute.failed");
+            }
+        }
+    },
+    {
+        name: "unmute",
+        description: "Unmute a user (reply to msg)",
+        permission: "chat_moderator",
+        handler: async (ctx) => {
+            if (!ctx.message.reply_to_message) return ctx.t("moderation.unmute.target");
+
+            const userId = ctx.message.reply_to_message.from.id;
+            try {
+                await moderation.unmute(ctx.telegram, ctx.chat.id, userId);
+                return ctx.t("moderation.unmute.done");
+            } catch (err) {
+                metrics.handlerError("/unmute", err);
+                return ctx.t("moderation.unmute.failed");
+            }
+        }
+    },
+    {
+        name: "mutes",
+        description: "List pending mute expiries in this chat",
+        permission: "chat_moderator",
+        handler: async (ctx) => {
+            const jobs = await moderation.pendingUnmutes(ctx.chat.id);
+            if (jobs.length === 0) return ctx.t("moderation.mutes.none");
+
+            const lines = jobs.map(job => {
+                const left = Math.max(new Date(job.due_at).getTime() - Date.now(), 0);
+                return `• ${ctx.t("moderation.mutes.row", { id: job.user_id, label: job.payload.label, left: ms(left) })}`;
+            });
+            return `${ctx.t("moderation.mutes.title")}\n${lines.join("\n")}`;
+        }
+    },
+    {
+        name: "antiflood",
+        description: "Spam protection: on, off or set <key> <value>",
+        permission: "chat_moderator",
+        args: [{ name: "mode" }, { name: "key" }, { name: "value" }],
+        handler: async (ctx, { mode, key, value }) => {
+            if (ctx.chat.type === "private") return ctx.t("antiflood.private");
+
+            if (mode === "on" || mode === "off") {
+                await settings.update(ctx.chat.id, "antiflood", { enabled: mode === "on" });
+                return ctx.t(`antiflood.${mode}`);
+            }
+            if (mode === "set") {
+                const spec = ANTIFLOOD_KEYS[key];
+                const parsed = spec && value && parseAntifloodValue(spec, value.toLowerCase());
+                if (!parsed) return ctx.t("antiflood.set_usage", { keys: Object.keys(ANTIFLOOD_KEYS).join(", ") });
+                await settings.update(ctx.chat.id, "antiflood", { [spec.field]: parsed });
+                return ctx.t("antiflood.set", { key, value: parsed });
+            }
+            if (mode) return ctx.t("errors.usage", { usage: "/antiflood <on|off|set <key> <value>>" });
+
+            const { antiflood: c } = await settings.get(ctx.chat.id);
+            return ctx.t("antiflood.status", {
+                state: ctx.t(c.enabled ? "settings.on" : "settings.off"),
+                messages: c.maxMessages,
+                window: c.window,
+                repeats: c.maxRepeats,
+                mentions: c.maxMentions,
+                newmember: c.newMemberPeriod,
+                action: c.action + (c.action === "mute" ? ` (${c.muteDuration})` : "")
+            });
+        }
+    },
+    {
+        name: "automod",
+        description: "AI moderation: on, off, images, <category> <action>, mute, threshold",
+        permission: "chat_moderator",
+        args: [{ name: "mode" }, { name: "value" }],
+        handler: async (ctx, { mode, value }) => {
+            if (ctx.chat.type === "private") return ctx.t("automod.private");
+            const chatId = ctx.chat.id;
+            mode = mode && mode.toLowerCase();
+            value = value && value.toLowerCase();
+
+            if (mode === "on" || mode === "off") {
+                await settings.update(chatId, "automod", { enabled: mode === "on" });
+                return ctx.t(`automod.${mode}`);
+            }
+            if (mode === "images" && (value === "on" || value === "off")) {
+                await settings.update(chatId, "automod", { images: value === "on" });
+                return ctx.t(`automod.images_${value}`);
+            }
+            if (CATEGORIES.includes(mode) && ACTIONS.includes(value)) {
+                const { automod: c } = await settings.get(chatId);
+                await settings.update(chatId, "automod", { actions: { ...c.actions, [mode]: value } });
+                return ctx.t("automod.action_set", { category: mode, action: value });
+            }
+            if (mode === "mute" && value && !isNaN(ms(value))) {
+                await settings.update(chatId, "automod", { muteDuration: value });
+                return ctx.t("automod.mute_set", { duration: value });
+            }
+            const threshold = parseFloat(value);
+            if (mode === "threshold" && threshold > 0 && threshold <= 1) {
+                await settings.update(chatId, "automod", { threshold });
+                return ctx.t("automod.threshold_set", { threshold });
+            }
+            if (mode) return ctx.t("automod.usage", { categories: CATEGORIES.join("|"), actions: ACTIONS.join("|") });
+
+            const { automod: c, ai } = await settings.get(chatId);
+            const onOff = value => ctx.t(value ? "settings.on" : "settings.off");
+            return `${ctx.t("automod.status", { state: onOff(c.enabled) })}${c.enabled && !ai.enabled ? ` ${ctx.t("automod.paused")}` : ""}\n` +
+                `${ctx.t("automod.settings.images", { state: onOff(c.images) })}\n` +
+                CATEGORIES.map(category => `${category}: ${c.actions[category]}`).join("\n") + "\n" +
+                `${ctx.t("automod.settings.mute", { duration: c.muteDuration })}\n` +
+                ctx.t("automod.settings.threshold", { threshold: c.threshold });
+        },
+        // Authors press Appeal on their own cases; automod checks the rest.
+        callbackPermission: null,
+        callback: (ctx, data) => automod.press(ctx, data)
+    }
+];
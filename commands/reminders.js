@@ -0,0 +1,76 @@
+const { ReminderError } = require("../reminders");
+
+module.exports = ({ reminders, permissions }) => {
+    async function run(ctx, action) {
+        try {
+            return await action();
+        } catch (err) {
+            if (err instanceof ReminderError) return `❌ ${ctx.t(err.key, err.params)}`;
+            throw err;
+        }
+    }
+
+    return [
+        {
+            name: "remind",
+            description: "Remind me: 2h call mum, tomorrow 9:00 standup",
+            inline: false,
+            args: [{ name: "when", rest: true, required: true }],
+            handler: (ctx, { when }) => run(ctx, async () => {
+                const reminder = await reminders.remind(ctx.chat, ctx.from, when);
+                return `${ctx.t("reminders.set")}\n${reminders.describe(reminder, ctx.t)}`;
+            })
+        },
+        {
+            name: "every",
+            description: "Repeat a message: monday 10:00 <text>, weekday 8:30 <text>, 2h <text>",
+            permission: "chat_moderator",
+            inline: false,
+            args: [{ name: "when", rest: true, required: true }],
+            handler: (ctx, { when }) => run(ctx, async () => {
+                const reminder = await reminders.every(ctx.chat, ctx.from, when);
+                return `${ctx.t("reminders.recurring_set")}\n${reminders.describe(reminder, ctx.t)}`;
+            })
+        },
+        {
+            name: "timezone",
+            description: "Show or set your time zone, e.g. Europe/London",
+            inline: false,
+            args: [{ name: "zone" }],
+            handler: (ctx, { zone }) => run(ctx, async () => {
+                if (!zone) return ctx.t("reminders.timezone", { zone: await reminders.timezoneOf(ctx.from.id) });
+                return ctx.t("reminders.timezone_set", { zone: await reminders.setTimezone(ctx.from.id, zone) });
+            })
+        },
+        {
+            name: "reminders",
+            description: "List your reminders (in this chat, or all of them in private)",
+            inline: false,
+            handler: async (ctx) => {
+                const chatId = ctx.chat.type === "private" ? null : ctx.chat.id;
+                const list = await reminders.list(ctx.from.id, chatId);
+                if (list.length === 0) return ctx.t("reminders.none");
+                const lines = list.map(reminder => reminders.describe(reminder, ctx.t));
+                return `${ctx.t("reminders.list")}\n${lines.join("\n")}\n\n${ctx.t("reminders.cancel_hint")}`;
+            }
+        },
+        {
+            name: "cancelreminder",
+            description: "Cancel a reminder by its id",
+            inline: false,
+            args: [{ name: "id", type: "int", required: true }],
+            handler: async (ctx, { id }) => {
+                const reminder = await reminders.get(id);
+                const own = reminder && Number(reminder.user_id) === ctx.from.id;
+                // Chat moderators may also stop recurring messages posted in their chat.
+                const moderated = reminder && reminder.rule && Number(reminder.chat_id) === ctx.chat.id
+                    && await permissions.can(ctx, "chat_moderator");
+                if (!reminder || reminder.status !== "active" || (!own && !moderated)) {
+                    return ctx.t("reminders.not_found");
+                }
+                await reminders.cancel(id);
+                return ctx.t("reminders.cancelled", { id });
+            }
+        }
+    ];
+};
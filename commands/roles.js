@@ -0,0 +1,104 @@
+const { RANKS, GLOBAL } = require("../permissions");
+
+const ROLE_ALIASES = {
+    owner: "owner",
+    moderator: "moderator",
+    mod: "moderator",
+    chatmod: "chat_moderator",
+    chat_moderator: "chat_moderator"
+};
+
+// Chat moderator roles apply to the chat the command was sent in.
+function roleLabel(t, role) {
+    return t(role === "chat_moderator" ? "roles.labels.chat_moderator_here" : `roles.labels.${role}`);
+}
+
+function targetOf(ctx, id) {
+    const reply = ctx.message.reply_to_message;
+    return reply ? reply.from.id : id;
+}
+
+module.exports = ({ permissions }) => [
+    {
+        name: "promote",
+        description: "Grant a role: owner, moderator or chatmod (reply or id)",
+        permission: "moderator",
+        args: [{ name: "role", required: true }, { name: "id", type: "int" }],
+        handler: async (ctx, { role, id }) => {
+            const name = ROLE_ALIASES[role.toLowerCase()];
+            if (!name) return ctx.t("errors.usage", { usage: "/promote <owner|moderator|chatmod> [id]" });
+
+            const userId = targetOf(ctx, id);
+            if (!userId) return ctx.t("roles.promote_target");
+
+            const actorRank = await permissions.rank(ctx.chat, ctx.from.id);
+            if (actorRank <= RANKS[name] && actorRank < RANKS.owner) {
+                return ctx.t("roles.below_own");
+            }
+            if (name === "chat_moderator" && ctx.chat.type === "private") {
+                return ctx.t("roles.chatmod_private");
+            }
+
+            await permissions.grant(userId, name, ctx.chat.id, ctx.from.id);
+            return ctx.t("roles.promoted", { id: userId, role: roleLabel(ctx.t, name) });
+        }
+    },
+    {
+        name: "demote",
+        description: "Remove a user's roles (reply or id)",
+        permission: "moderator",
+        args: [{ name: "id", type: "int" }],
+        handler: async (ctx, { id }) => {
+            const userId = targetOf(ctx, id);
+            if (!userId) return ctx.t("roles.demote_target");
+
+            const actorRank = await permissions.rank(ctx.chat, ctx.from.id);
+            const chatRole = permissions.roleOf(userId, ctx.chat.id);
+            const globalRole = permissions.roleOf(userId, GLOBAL);
+
+            // Check everything before revoking anything, so a refused
+            // demotion leaves all roles in place.
+            if (globalRole) {
+                if (actorRank <= RANKS[globalRole] && actorRank < RANKS.owner) {
+                    return ctx.t("roles.cant_demote", { role: roleLabel(ctx.t, globalRole) });
+                }
+                if (globalRole === "owner" && userId === permissions.ownerId) {
+                    return ctx.t("roles.admin_id");
+                }
+            }
+
+            const removed = [];
+            if (chatRole) {
+                await permissions.revoke(userId, ctx.chat.id);
+                removed.push(roleLabel(ctx.t, chatRole));
+            }
+            if (globalRole) {
+                await permissions.revoke(userId, GLOBAL);
+                removed.push(roleLabel(ctx.t, globalRole));
+            }
+
+            if (removed.length === 0) return ctx.t("roles.no_roles", { id: userId });
+            return ctx.t("roles.demoted", { id: userId, roles: removed.join(", ") });
+        }
+    },
+    {
+        name: "admins",
+        description: "List who can moderate this chat",
+        inline: false,
+        handler: async (ctx) => {
+            const lines = permissions.list(ctx.chat.id)
+                .map(e => `• ${e.userId} — ${ctx.t(`roles.labels.${e.role}`)}`);
+
+            if (ctx.chat.type !== "private") {
+                try {
+                    const admins = await permissions.getChatAdmins(ctx.chat.id);
+                    admins.forEach(userId => lines.push(`• ${userId} — ${ctx.t("roles.labels.telegram_admin")}`));
+                } catch (err) {
+                    console.error("getChatAdministrators error:", err);
+                }
+            }
+
+            return `${ctx.t("roles.admins")}\n${lines.join("\n") || ctx.t("roles.none")}`;
+        }
+    }
+];
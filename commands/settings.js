@@ -0,0 +1,134 @@
+const { Markup } = require("telegraf");
+const { isToggleable } = require("../settings");
+const { LANGUAGES: BOT_LANGUAGES } = require("../i18n");
+
+const LANGUAGES = ["English", "Spanish", "French", "German", "Portuguese", "Russian", "Arabic", "Hindi", "Chinese", "Japanese"];
+const FLOOD_ACTIONS = ["delete", "mute", "kick"];
+const FLOOD_LIMITS = [3, 5, 10, 20];
+const COMMANDS_PER_PAGE = 10;
+
+const onOff = (t, value) => value ? `${t("settings.on")} ✅` : `${t("settings.off")} ❌`;
+
+function next(list, current) {
+    return list[(list.indexOf(current) + 1) % list.length];
+}
+
+// Panels take the reader's translator, `t` (see i18n.js).
+function mainPanel(s, t) {
+    const button = (key, params, data) => Markup.button.callback(t(`settings.buttons.${key}`, params), data);
+    return {
+        text: t("settings.title"),
+        keyboard: [
+            [button("ai", { state: onOff(t, s.ai.enabled) }, "settings:ai")],
+            [button("translate", { language: s.translation.language }, "settings:lang")],
+            [button("locale", { language: s.locale.language || t("settings.auto") }, "settings:locale")],
+            [
+                button("antiflood", { state: onOff(t, s.antiflood.enabled) }, "settings:flood"),
+                button("limit", { count: s.antiflood.maxMessages, window: s.antiflood.window }, "settings:floodlimit")
+            ],
+            [button("action", { action: s.antiflood.action }, "settings:floodaction")],
+            [button("automod", { state: onOff(t, s.automod.enabled) }, "settings:automod")],
+            [button("commands", { count: s.commands.disabled.length }, "settings:commands:0")],
+            [button("close", {}, "settings:close")]
+        ]
+    };
+}
+
+function commandsPanel(s, t, commands, page) {
+    const pages = Math.max(Math.ceil(commands.length / COMMANDS_PER_PAGE), 1);
+    page = Math.min(Math.max(page, 0), pages - 1);
+    const slice = commands.slice(page * COMMANDS_PER_PAGE, (page + 1) * COMMANDS_PER_PAGE);
+
+    const keyboard = [];
+    for (let i = 0; i < slice.length; i += 2) {
+        keyboard.push(slice.slice(i, i + 2).map(c => {
+            const enabled = !s.commands.disabled.includes(c.name);
+            return Markup.button.callback(`${enabled ? "✅" : "🚫"} /${c.name}`, `settings:cmd:${c.name}:${page}`);
+        }));
+    }
+
+    const nav = [];
+    if (page > 0) nav.push(Markup.button.callback("⬅️", `settings:commands:${page - 1}`));
+    nav.push(Markup.button.callback(t("settings.buttons.back"), "settings:main"));
+    if (page < pages - 1) nav.push(Markup.button.callback("➡️", `settings:commands:${page + 1}`));
+    keyboard.push(nav);
+
+    return {
+        text: t("settings.commands", { page: page + 1, pages }),
+        keyboard
+    };
+}
+
+module.exports = ({ registry, settings }) => {
+    const toggleableCommands = () => registry.list().filter(isToggleable);
+
+    async function render(ctx, panel) {
+        await ctx.editMessageText(panel.text, {
+            parse_mode: "Markdown",
+            ...Markup.inlineKeyboard(panel.keyboard)
+        }).catch(err => {
+            if (!/message is not modified/.test(err.message)) throw err;
+        });
+    }
+
+    return [
+        {
+            name: "settings",
+            description: "Chat settings panel",
+            permission: "chat_moderator",
+            toggleable: false,
+            handler: async (ctx) => {
+                const panel = mainPanel(await settings.get(ctx.chat.id), ctx.t);
+                return { text: panel.text, parse_mode: "Markdown", ...Markup.inlineKeyboard(panel.keyboard) };
+            },
+            callback: async (ctx, data) => {
+                const chatId = ctx.chat.id;
+                const [action, arg, page] = data.split(":");
+                let s = await settings.get(chatId);
+
+                switch (action) {
+                    case "close":
+                        await ctx.deleteMessage().catch(() => {});
+                        return ctx.answerCbQuery();
+                    case "ai":
+                        s = await settings.update(chatId, "ai", { enabled: !s.ai.enabled });
+                        break;
+                    case "lang":
+                        s = await settings.update(chatId, "translation", { language: next(LANGUAGES, s.translation.language) });
+                        break;
+                    case "locale":
+                        s = await settings.update(chatId, "locale", { language: next([null, ...BOT_LANGUAGES], s.locale.language) });
+                        break;
+                    case "flood":
+                        s = await settings.update(chatId, "antiflood", { enabled: !s.antiflood.enabled });
+                        break;
+                    case "floodlimit":
+                        s = await settings.update(chatId, "antiflood", { maxMessages: next(FLOOD_LIMITS, s.antiflood.maxMessages) });
+                        break;
+                    case "floodaction":
+                        s = await settings.update(chatId, "antiflood", { action: next(FLOOD_ACTIONS, s.antiflood.action) });
+                        break;
+                    case "automod":
+                        s = await settings.update(chatId, "automod", { enabled: !s.automod.enabled });
+                        break;
+                    case "commands":
+                        await render(ctx, commandsPanel(s, ctx.t, toggleableCommands(), parseInt(arg) || 0));
+                        return ctx.answerCbQuery();
+                    case "cmd": {
+                        const command = registry.get(arg);
+                        if (!command || !isToggleable(command)) return ctx.answerCbQuery();
+                        const disabled = s.commands.disabled.includes(arg)
+                            ? s.commands.disabled.filter(name => name !== arg)
+                            : [...s.commands.disabled, arg];
+                        s = await settings.update(chatId, "commands", { disabled });
+                        await render(ctx, commandsPanel(s, ctx.t, toggleableCommands(), parseInt(page) || 0));
+                        return ctx.answerCbQuery(ctx.t(disabled.includes(arg) ? "settings.disabled" : "settings.enabled", { command: arg }));
+                    }
+                }
+
+                await render(ctx, mainPanel(s, ctx.t));
+                await ctx.answerCbQuery();
+            }
+        }
+    ];
+};
@@ -0,0 +1,111 @@
+const ms = require("ms");
+const { Markup } = require("telegraf");
+const { createCalculator } = require("../calc");
+const { ShortenerError } = require("../shortener");
+
+const calculator = createCalculator();
+
+function linkText(ctx, link) {
+    const expiry = link.expires_at ? `\n${ctx.t("shortener.expires", { date: new Date(link.expires_at).toUTCString() })}` : "";
+    return `${ctx.t("shortener.shortened")}\n${link.short}${expiry}`;
+}
+
+module.exports = ({ shortener }) => [
+    {
+        name: "echo",
+        description: "Repeat your message",
+        title: "📢 Echo",
+        args: [{ name: "text", rest: true, required: true }],
+        handler: (ctx, { text }) => text
+    },
+    {
+        name: "reverse",
+        description: "Reverse text",
+        title: "🔄 Reverse Text",
+        args: [{ name: "text", rest: true, required: true }],
+        handler: (ctx, { text }) => text.split("").reverse().join("")
+    },
+    {
+        name: "upper",
+        description: "Text to uppercase",
+        title: "🔠 Uppercase",
+        args: [{ name: "text", rest: true, required: true }],
+        handler: (ctx, { text }) => text.toUpperCase()
+    },
+    {
+        name: "lower",
+        description: "Text to lowercase",
+        title: "🔡 Lowercase",
+        args: [{ name: "text", rest: true, required: true }],
+        handler: (ctx, { text }) => text.toLowerCase()
+    },
+    {
+        name: "calc",
+        description: "Calculator: 2^10, sqrt(16), x = 5, 10 km to mi",
+        title: "🧮 Calculator",
+        args: [{ name: "expr", rest: true, required: true }],
+        handler: (ctx, { expr }) => calculator.run(ctx.from.id, expr, ctx.t)
+    },
+    {
+        name: "short",
+        description: "Shorten a URL: <url> [alias] [expiry, e.g. 7d]",
+        title: "🔗 Shorten URL",
+        args: [{ name: "url", required: true }, { name: "alias" }, { name: "expires", type: "duration" }],
+        handler: async (ctx, { url, alias, expires }) => {
+            // "/short <url> 7d" sets an expiry without an alias.
+            if (alias && !expires && /^\d/.test(alias) && !isNaN(ms(alias))) {
+                expires = alias;
+                alias = null;
+            }
+            try {
+                // Inline results are previews; the link is made on the press.
+                if (ctx.inlineQuery) {
+                    const id = shortener.draft({ url, alias, expires, ownerId: ctx.from.id });
+                    return {
+                        text: ctx.t("shortener.preview", { url }),
+                        ...Markup.inlineKeyboard([Markup.button.callback(ctx.t("shortener.create"), `short:${id}`)])
+                    };
+                }
+                return linkText(ctx, await shortener.shorten({ url, alias, expires, ownerId: ctx.from.id }));
+            } catch (err) {
+                if (err instanceof ShortenerError) return `❌ ${ctx.t(err.key, err.params)}`;
+                throw err;
+            }
+        },
+        callback: async (ctx, id) => {
+            let link;
+            try {
+                link = await shortener.shortenDraft(id);
+            } catch (err) {
+                if (err instanceof ShortenerError) return ctx.answerCbQuery(`❌ ${ctx.t(err.key, err.params)}`);
+                throw err;
+            }
+            if (!link) return ctx.answerCbQuery(ctx.t("shortener.draft_expired"));
+            await ctx.editMessageText(linkText(ctx, link));
+            await ctx.answerCbQuery();
+        }
+    },
+    {
+        name: "shortstats",
+        description: "Click stats for one of your short links",
+        inline: false,
+        args: [{ name: "slug", required: true }],
+        handler: async (ctx, { slug }) => {
+            slug = slug.replace(/^.*\/s\//, "");
+            const link = await shortener.stats(slug);
+            if (!link || Number(link.owner_id) !== ctx.from.id) return ctx.t("shortener.not_yours");
+
+            const daily = link.daily.length > 0
+                ? link.daily.map(d => `${new Date(d.day).toISOString().slice(0, 10)}: ${d.clicks}`).join("\n")
+                : ctx.t("shortener.no_clicks");
+            const expired = link.expires_at && new Date(link.expires_at) < new Date();
+            return `📊 ${link.short}\n` +
+                `➡️ ${link.url}\n` +
+                `${ctx.t("shortener.clicks", { count: link.clicks })}\n` +
+                `${ctx.t("shortener.last_click", { date: link.lastClick ? new Date(link.lastClick).toUTCString() : ctx.t("shortener.never") })}\n` +
+                `${ctx.t("shortener.created", { date: new Date(link.created_at).toUTCString() })}\n` +
+                (link.expires_at ? `${ctx.t(expired ? "shortener.expired" : "shortener.expires", { date: new Date(link.expires_at).toUTCString() })}\n` : "") +
+                `\n${ctx.t("shortener.last_days")}\n${daily}`;
+        }
+    }
+];
@@ -0,0 +1,98 @@
+const ms = require("ms");
+const { parseLadder, formatLadder } = require("../warnings");
+
+function targetOf(ctx) {
+    const reply = ctx.message.reply_to_message;
+    return reply ? reply.from : null;
+}
+
+function nameOf(user) {
+    return user.username ? `@${user.username}` : user.first_name || String(user.id);
+}
+
+module.exports = ({ warnings, permissions, settings }) => [
+    {
+        name: "warn",
+        description: "Warn a user (reply to msg)",
+        permission: "chat_moderator",
+        args: [{ name: "reason", rest: true }],
+        handler: async (ctx, { reason }) => {
+            const target = targetOf(ctx);
+            if (!target) return ctx.t("warnings.warn_target");
+            if (await permissions.rank(ctx.chat, target.id) > 0) return ctx.t("warnings.admin");
+
+            const { count, max, punishment } = await warnings.warn(ctx.telegram, {
+                chatId: ctx.chat.id,
+                userId: target.id,
+                reason: reason || null,
+                warnedBy: ctx.from.id
+            });
+            let msg = ctx.t("warnings.warned", { name: nameOf(target), count: max ? `${count}/${max}` : count });
+            if (reason) msg += `\n${ctx.t("warnings.reason", { reason })}`;
+            if (punishment) msg += `\n${ctx.t(punishment.key, punishment.params)}`;
+            return msg;
+        }
+    },
+    {
+        name: "warns",
+        description: "Show warnings (reply to msg, or your own)",
+        inline: false,
+        handler: async (ctx) => {
+            const target = targetOf(ctx) || ctx.from;
+            const list = await warnings.list(ctx.chat.id, target.id);
+            if (list.length === 0) return ctx.t("warnings.none", { name: nameOf(target) });
+
+            const lines = list.map((w, i) => `${i + 1}. ${w.reason || ctx.t("warnings.no_reason")}`);
+            return `${ctx.t("warnings.list", { name: nameOf(target), count: list.length })}\n${lines.join("\n")}`;
+        }
+    },
+    {
+        name: "unwarn",
+        description: "Remove a user's latest warning (reply to msg)",
+        permission: "chat_moderator",
+        handler: async (ctx) => {
+            const target = targetOf(ctx);
+            if (!target) return ctx.t("warnings.unwarn_target");
+            const removed = await warnings.removeLatest(ctx.chat.id, target.id);
+            return ctx.t(removed ? "warnings.removed" : "warnings.nothing", { name: nameOf(target) });
+        }
+    },
+    {
+        name: "resetwarns",
+        description: "Clear all of a user's warnings (reply to msg)",
+        permission: "chat_moderator",
+        handler: async (ctx) => {
+            const target = targetOf(ctx);
+            if (!target) return ctx.t("warnings.reset_target");
+            const removed = await warnings.reset(ctx.chat.id, target.id);
+            return ctx.t("warnings.cleared", { count: removed, name: nameOf(target) });
+        }
+    },
+    {
+        name: "warnconfig",
+        description: "Warn settings: ladder 3=mute:1h 5=kick 7=ban, or expiry <30d|off>",
+        permission: "chat_moderator",
+        args: [{ name: "setting" }, { name: "value", rest: true }],
+        handler: async (ctx, { setting, value }) => {
+            if (setting === "ladder" && value) {
+                const ladder = parseLadder(value);
+                if (!ladder) return ctx.t("errors.usage", { usage: "/warnconfig ladder 3=mute:1h 5=kick 7=ban" });
+                await settings.update(ctx.chat.id, "warnings", { ladder });
+                return ctx.t("warnings.ladder_set", { ladder: formatLadder(ladder) });
+            }
+            if (setting === "expiry" && value) {
+                const off = value === "off";
+                if (!off && isNaN(ms(value))) return ctx.t("errors.usage", { usage: "/warnconfig expiry <30d|off>" });
+                await settings.update(ctx.chat.id, "warnings", { expiry: off ? null : value });
+                return off ? ctx.t("warnings.no_expiry") : ctx.t("warnings.expiry_set", { expiry: value });
+            }
+            if (setting) return ctx.t("warnings.config_usage");
+
+            const { warnings: config } = await settings.get(ctx.chat.id);
+            return ctx.t("warnings.config", {
+                ladder: formatLadder(config.ladder) || ctx.t("warnings.no_ladder"),
+                expiry: config.expiry || ctx.t("warnings.never")
+            });
+        }
+    }
+];
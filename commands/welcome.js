@@ -0,0 +1,71 @@
+const ms = require("ms");
+
+const PLACEHOLDERS = "{name}, {username}, {id}, {chat}, {count}";
+
+module.exports = ({ settings, welcome }) => {
+    async function setTemplate(ctx, field, template) {
+        if (ctx.chat.type === "private") return ctx.t(`welcome.${field}.private`);
+
+        if (!template) {
+            const { welcome: config } = await settings.get(ctx.chat.id);
+            return config[field]
+                ? `${ctx.t(`welcome.${field}.current`)}\n${config[field]}`
+                : ctx.t(`welcome.${field}.none`, { placeholders: PLACEHOLDERS });
+        }
+        if (template.toLowerCase() === "off") {
+            await settings.update(ctx.chat.id, "welcome", { [field]: null });
+            return ctx.t(`welcome.${field}.off`);
+        }
+        await settings.update(ctx.chat.id, "welcome", { [field]: template });
+        return ctx.t(`welcome.${field}.saved`);
+    }
+
+    return [
+        {
+            name: "setwelcome",
+            description: "Set the welcome message ({name}, {chat}, {count}; off to disable)",
+            permission: "chat_moderator",
+            args: [{ name: "template", rest: true }],
+            handler: (ctx, { template }) => setTemplate(ctx, "welcome", template)
+        },
+        {
+            name: "setgoodbye",
+            description: "Set the goodbye message ({name}, {chat}, {count}; off to disable)",
+            permission: "chat_moderator",
+            args: [{ name: "template", rest: true }],
+            handler: (ctx, { template }) => setTemplate(ctx, "goodbye", template)
+        },
+        {
+            name: "captcha",
+            description: "Join captcha: on [button|math], off or timeout <2m>",
+            permission: "chat_moderator",
+            args: [{ name: "mode" }, { name: "value" }],
+            handler: async (ctx, { mode, value }) => {
+                if (ctx.chat.type === "private") return ctx.t("welcome.captcha.private");
+
+                if (mode === "on") {
+                    const captchaMode = value === "math" ? "math" : "button";
+                    await settings.update(ctx.chat.id, "welcome", { captcha: true, captchaMode });
+                    return ctx.t("welcome.captcha.on", { mode: captchaMode });
+                }
+                if (mode === "off") {
+                    await settings.update(ctx.chat.id, "welcome", { captcha: false });
+                    return ctx.t("welcome.captcha.off");
+                }
+                if (mode === "timeout") {
+                    if (!value || isNaN(ms(value))) return ctx.t("errors.usage", { usage: "/captcha timeout <2m>" });
+                    await settings.update(ctx.chat.id, "welcome", { captchaTimeout: value });
+                    return ctx.t("welcome.captcha.timeout_set", { timeout: value });
+                }
+                if (mode) return ctx.t("errors.usage", { usage: "/captcha <on [button|math]|off|timeout <2m>>" });
+
+                const { welcome: config } = await settings.get(ctx.chat.id);
+                const state = config.captcha ? `${ctx.t("settings.on")} (${config.captchaMode})` : ctx.t("settings.off");
+                return ctx.t("welcome.captcha.status", { state, timeout: config.captchaTimeout });
+            },
+            // New members press the captcha buttons, so anyone may.
+            callbackPermission: null,
+            callback: (ctx, data) => welcome.verify(ctx, data)
+        }
+    ];
+};
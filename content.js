@@ -0,0 +1,79 @@
+const seed = require("./data/content.json");
+
+const MAX_LENGTH = 500;
+
+// Content categories. Entries are shown with their content.entries.<category>
+// template from the locale catalogs.
+const CATEGORIES = ["joke", "fact", "quote", "anime", "roast", "bless", "secret", "math"];
+
+// The content library behind /joke, /fact and friends. Entries live in
+// Postgres, seeded from data/content.json; user submissions wait in a
+// queue ('pending') until a moderator approves them.
+function createContentLibrary({ db }) {
+    async function load() {
+        const items = [];
+        Object.entries(seed).forEach(([category, texts]) => {
+            texts.forEach(text => items.push({ category, text }));
+        });
+        return db.seedContent(items);
+    }
+
+    function isCategory(category) {
+        return CATEGORIES.includes(category);
+    }
+
+    // Returns the problem as a message from `t` (see i18n.js), or null.
+    function validate(t, category, text) {
+        if (!isCategory(category)) return t("content.unknown_category", { categories: CATEGORIES.join(", ") });
+        if (text.length > MAX_LENGTH) return t("content.too_long", { count: MAX_LENGTH });
+        return null;
+    }
+
+    // Inline queries have no chat, so the no-repeat history is per user there.
+    async function pick(ctx, category) {
+        const chatId = ctx.chat ? ctx.chat.id : ctx.from.id;
+        const item = await db.pickContent(chatId, category);
+        return item ? ctx.t(`content.entries.${category}`, { text: item.text }) : ctx.t("content.empty", { category });
+    }
+
+    async function add(category, text, addedBy) {
+        return db.addContent({ category, text, status: "approved", submittedBy: addedBy, reviewedBy: addedBy });
+    }
+
+    async function submit(category, text, userId) {
+        return db.addContent({ category, text, status: "pending", submittedBy: userId });
+    }
+
+    async function remove(id, removedBy) {
+        const item = await db.getContent(id);
+        if (!item || item.status !== "approved") return null;
+        return db.setContentStatus(id, "removed", removedBy);
+    }
+
+    async function review(id, approved, reviewedBy) {
+        const item = await db.getContent(id);
+        if (!item || item.status !== "pending") return null;
+        return db.setContentStatus(id, approved ? "approved" : "rejected", reviewedBy);
+    }
+
+    async function nextPending() {
+        const [item] = await db.listContent({ status: "pending", limit: 1 });
+        return item || null;
+    }
+
+    return {
+        load,
+        isCategory,
+        validate,
+        pick,
+        add,
+        submit,
+        remove,
+        review,
+        nextPending,
+        list: (category, limit, offset) => db.listContent({ category, status: "approved", limit, offset }),
+        counts: (status, category) => db.countContent({ status, category })
+    };
+}
+
+module.exports = { CATEGORIES, createContentLibrary };
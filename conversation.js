@@ -0,0 +1,97 @@
+// History sent with each /ask is capped by both turn count and a rough
+// token budget (about 4 characters per token).
+const HISTORY_TURNS = parseInt(process.env.AI_HISTORY_TURNS) || 10;
+const HISTORY_TOKENS = parseInt(process.env.AI_HISTORY_TOKENS) || 4000;
+
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Per-chat /ask threads stored in Postgres. A new question continues the
+// chat's latest thread, or the thread of the message it replies to.
+function createConversations({ db, ai, settings, metrics }) {
+    async function resolveThread(chatId, replyToMessageId) {
+        if (replyToMessageId) {
+            const threadId = await db.findThreadByMessage(chatId, replyToMessageId);
+            if (threadId) return threadId;
+        }
+        return (await db.getLatestThread(chatId)) || db.createThread(chatId);
+    }
+
+    async function loadHistory(threadId, question) {
+        const rows = await db.getThreadMessages(threadId, HISTORY_TURNS * 2);
+        const history = [];
+        let budget = HISTORY_TOKENS - estimateTokens(question);
+
+        for (const row of rows) {
+            budget -= estimateTokens(row.content);
+            if (budget < 0) break;
+            history.unshift({ role: row.role, text: row.content });
+        }
+
+        // Providers expect the conversation to open with a user turn.
+        while (history.length > 0 && history[0].role !== "user") history.shift();
+        return history;
+    }
+
+    async function generate(chatId, userId, threadId, question, files) {
+        const [history, persona] = await Promise.all([
+            loadHistory(threadId, question),
+            db.getPersona(chatId)
+        ]);
+        const response = await ai.generate({
+            chatId,
+            userId,
+            messages: [...history, { role: "user", text: question, ...(files ? { files } : {}) }],
+            system: persona
+        });
+        return response.text;
+    }
+
+    // Answers `question` in the context of its thread and replies with it,
+    // recording both messages so later replies can continue the thread.
+    // Files (see media.js) go with this question only; the thread keeps
+    // just the text.
+    async function reply(ctx, question, files) {
+        const message = ctx.message;
+        const replyTo = message.reply_to_message;
+        const threadId = await resolveThread(ctx.chat.id, replyTo && replyTo.message_id);
+
+        const answer = await generate(ctx.chat.id, ctx.from.id, threadId, question, files);
+        const sent = await ctx.reply(answer, { reply_parameters: { message_id: message.message_id } });
+
+        await db.addThreadMessage(threadId, "user", question, message.message_id);
+        await db.addThreadMessage(threadId, "assistant", answer, sent.message_id);
+    }
+
+    // Plain-text replies to one of the bot's answers are follow-up questions.
+    // They count as `command` (/ask), so they stop when the chat turns it or
+    // its AI off.
+    function followUpMiddleware(command) {
+        return async (ctx, next) => {
+            const replyTo = ctx.message.reply_to_message;
+            if (replyTo && replyTo.from && replyTo.from.id === ctx.botInfo.id && !ctx.message.text.startsWith("/")) {
+                const threadId = await db.findThreadByMessage(ctx.chat.id, replyTo.message_id);
+                if (threadId && await settings.isCommandEnabled(ctx.chat.id, command)) {
+                    try {
+                        await reply(ctx, ctx.message.text);
+                    } catch (err) {
+                        metrics.handlerError("AI follow-up", err);
+                        await ctx.reply(ctx.t("errors.generic"));
+                    }
+                }
+            }
+            return next();
+        };
+    }
+
+    return {
+        reply,
+        followUpMiddleware,
+        reset: chatId => db.deleteThreads(chatId),
+        getPersona: chatId => db.getPersona(chatId),
+        setPersona: (chatId, persona) => db.setPersona(chatId, persona)
+    };
+}
+
+module.exports = { createConversations };
@@ -0,0 +1,321 @@
+const crypto = require("crypto");
+const express = require("express");
+
+const PAGE_SIZE = 50;
+const SESSION_COOKIE = "admin_session";
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60;
+
+const escapeHtml = value => String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header = "") {
+    const cookies = {};
+    header.split(";").forEach(part => {
+        const index = part.indexOf("=");
+        if (index > 0) cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    });
+    return cookies;
+}
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().replace("T", " ").slice(0, 16) : "—";
+}
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function userId(value) {
+    const id = parseInt(value);
+    if (isNaN(id)) throw new ApiError(400, "Invalid user id");
+    return id;
+}
+
+function layout(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 1rem; color: #222; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; } td, th { border-bottom: 1px solid #ddd; padding: .35rem; text-align: left; }
+.cards { display: flex; gap: 1rem; flex-wrap: wrap; } .card { border: 1px solid #ddd; border-radius: 6px; padding: .75rem 1rem; }
+.card b { display: block; font-size: 1.4rem; } form.inline { display: inline; }
+textarea { width: 100%; min-height: 4rem; } .muted { color: #777; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+// Token-protected admin API under /admin/api and a server-rendered
+// dashboard under /admin. API clients send "Authorization: Bearer <token>";
+// the dashboard logs in with the same token and keeps a session cookie.
+// Both go through the same actions as the Telegram admin commands.
+function createDashboard({ db, enforcement, broadcaster, token = process.env.ADMIN_API_TOKEN }) {
+    if (!token) return null;
+
+    // Logged-in dashboard sessions: nonce -> expiry (ms). The cookie carries
+    // "<nonce>.<expiry>.<signature>"; logging out forgets the nonce. Kept in
+    // memory, so a restart logs everyone out.
+    const sessions = new Map();
+    const sign = value => crypto.createHmac("sha256", token).update(value).digest("hex");
+
+    function createSession() {
+        const now = Date.now();
+        sessions.forEach((expires, nonce) => {
+            if (expires <= now) sessions.delete(nonce);
+        });
+        const nonce = crypto.randomBytes(16).toString("hex");
+        const expires = now + SESSION_MAX_AGE * 1000;
+        sessions.set(nonce, expires);
+        return `${nonce}.${expires}.${sign(`${nonce}.${expires}`)}`;
+    }
+
+    // The nonce of a valid, unexpired session cookie, or null.
+    function sessionOf(req) {
+        const [nonce, expires, signature] = (parseCookies(req.headers.cookie)[SESSION_COOKIE] || "").split(".");
+        if (!signature || !safeEqual(signature, sign(`${nonce}.${expires}`))) return null;
+        if (Number(expires) <= Date.now() || sessions.get(nonce) !== Number(expires)) return null;
+        return nonce;
+    }
+
+    const router = express.Router();
+    router.use(express.json());
+    router.use(express.urlencoded({ extended: false }));
+
+    const actions = {
+        async stats() {
+            const [users, banned, spam, broadcasts] = await Promise.all([
+                db.getActiveUserCount(),
+                db.getAllBannedUsers(),
+                db.getSpamStats(null),
+                broadcaster.list(1)
+            ]);
+            return {
+                users: Number(users),
+                banned: banned.length,
+                power: actions.power(),
+                spam24h: spam,
+                lastBroadcast: broadcasts[0] || null
+            };
+        },
+        async users({ search, page }) {
+            page = Math.max(parseInt(page) || 1, 1);
+            const { users, total } = await db.listUsers({ search: search || null, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE });
+            return {
+                page,
+                pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+                total,
+                users: users.map(({ total: _, ...user }) => user)
+            };
+        },
+        ban: id => enforcement.ban(userId(id)),
+        unban: id => enforcement.unban(userId(id)),
+        async startBroadcast({ text, days, chatId }) {
+            if (!text || !String(text).trim()) throw new ApiError(400, "Broadcast text is required");
+            const audience = {};
+            if (days) audience.days = parseInt(days) || undefined;
+            if (chatId) audience.chatId = parseInt(chatId) || undefined;
+            return broadcaster.start({
+                createdBy: null,
+                reportChatId: null,
+                content: { type: "text", text: String(text).trim() },
+                audience
+            });
+        },
+        async broadcast(id) {
+            const campaign = await broadcaster.get(parseInt(id));
+            if (!campaign) throw new ApiError(404, "Broadcast not found");
+            return campaign;
+        },
+        async cancelBroadcast(id) {
+            const campaign = await broadcaster.cancel(parseInt(id));
+            if (!campaign) throw new ApiError(409, "Broadcast is not running");
+            return campaign;
+        },
+        power() {
+            const { botActive, maintenance } = enforcement.state;
+            return { active: botActive, maintenance };
+        },
+        async setPower({ active, maintenance }) {
+            if (active !== undefined) await enforcement.setActive(active === true || active === "true" || active === "on");
+            if (maintenance !== undefined) await enforcement.setMaintenance(maintenance || null);
+            return actions.power();
+        }
+    };
+
+    // JSON API
+    const api = express.Router();
+    api.use((req, res, next) => {
+        const [scheme, value] = (req.headers.authorization || "").split(" ");
+        if (scheme !== "Bearer" || !safeEqual(value || "", token)) return res.status(401).json({ error: "Unauthorized" });
+        next();
+    });
+    api.get("/stats", async (req, res) => res.json(await actions.stats()));
+    api.get("/users", async (req, res) => res.json(await actions.users({ search: req.query.search, page: req.query.page })));
+    api.post("/users/:id/ban", async (req, res) => {
+        await actions.ban(req.params.id);
+        res.json({ userId: userId(req.params.id), banned: true });
+    });
+    api.delete("/users/:id/ban", async (req, res) => {
+        await actions.unban(req.params.id);
+        res.json({ userId: userId(req.params.id), banned: false });
+    });
+    api.get("/broadcasts", async (req, res) => res.json(await broadcaster.list()));
+    api.post("/broadcasts", async (req, res) => res.status(201).json(await actions.startBroadcast(req.body || {})));
+    api.get("/broadcasts/:id", async (req, res) => res.json(await actions.broadcast(req.params.id)));
+    api.post("/broadcasts/:id/cancel", async (req, res) => res.json(await actions.cancelBroadcast(req.params.id)));
+    api.get("/power", (req, res) => res.json(actions.power()));
+    api.put("/power", async (req, res) => res.json(await actions.setPower(req.body || {})));
+    api.use((req, res) => res.status(404).json({ error: "Not found" }));
+    api.use((err, req, res, next) => {
+        if (err instanceof ApiError) return res.status(err.status).json({ error: err.message });
+        console.error("Admin API error:", err);
+        res.status(500).json({ error: "Internal error" });
+    });
+    router.use("/api", api);
+
+    // HTML dashboard
+    router.get("/login", (req, res) => {
+        const error = req.query.error ? `<p class="muted">Wrong token.</p>` : "";
+        res.send(layout("Bot admin — login", `<h1>Bot admin</h1>${error}
+<form method="post" action="login">
+<input type="password" name="token" placeholder="Admin token" autofocus>
+<button>Log in</button>
+</form>`));
+    });
+    router.post("/login", (req, res) => {
+        if (!safeEqual((req.body && req.body.token) || "", token)) return res.redirect(303, "login?error=1");
+        res.cookie(SESSION_COOKIE, createSession(), {
+            httpOnly: true,
+            sameSite: "strict",
+            secure: req.secure,
+            path: req.baseUrl,
+            maxAge: SESSION_MAX_AGE * 1000
+        });
+        res.redirect(303, req.baseUrl + "/");
+    });
+    router.post("/logout", (req, res) => {
+        sessions.delete(sessionOf(req));
+        res.clearCookie(SESSION_COOKIE, { path: req.baseUrl });
+        res.redirect(303, req.baseUrl + "/login");
+    });
+
+    router.use((req, res, next) => {
+        if (sessionOf(req)) return next();
+        res.redirect(303, req.baseUrl + "/login");
+    });
+
+    router.get("/", async (req, res) => {
+        const search = req.query.search || "";
+        const [stats, users, broadcasts] = await Promise.all([
+            actions.stats(),
+            actions.users({ search, page: req.query.page }),
+            broadcaster.list(10)
+        ]);
+        const { active, maintenance } = stats.power;
+        const status = !active ? "OFF" : maintenance ? "MAINTENANCE" : "ON";
+        const base = req.baseUrl;
+        const pageLink = page => `${base}/?search=${encodeURIComponent(search)}&page=${page}`;
+
+        const userRows = users.users.map(u => `<tr>
+<td>${escapeHtml(u.user_id)}</td>
+<td>${escapeHtml(u.username ? `@${u.username}` : "")} ${escapeHtml(u.first_name)}</td>
+<td>${formatDate(u.last_seen)}</td>
+<td>${u.is_active === false ? "inactive" : "active"}${u.banned ? ", <b>banned</b>" : ""}</td>
+<td><form class="inline" method="post" action="${base}/users/${escapeHtml(u.user_id)}/${u.banned ? "unban" : "ban"}">
+<button>${u.banned ? "Unban" : "Ban"}</button></form></td>
+</tr>`).join("");
+
+        const broadcastRows = broadcasts.map(b => `<tr>
+<td>#${b.id}</td>
+<td>${escapeHtml(b.status)}</td>
+<td>${b.counts.sent + b.counts.failed + b.counts.blocked}/${b.total} (✅ ${b.counts.sent} ❌ ${b.counts.failed} 🚫 ${b.counts.blocked})</td>
+<td>${formatDate(b.created_at)}</td>
+<td>${["pending", "running"].includes(b.status)
+        ? `<form class="inline" method="post" action="${base}/broadcasts/${b.id}/cancel"><button>Cancel</button></form>`
+        : ""}</td>
+</tr>`).join("");
+
+        res.send(layout("Bot admin", `<h1>Bot admin</h1>
+<form class="inline" method="post" action="${base}/logout"><button>Log out</button></form>
+<div class="cards">
+<div class="card">Users<b>${stats.users}</b></div>
+<div class="card">Banned<b>${stats.banned}</b></div>
+<div class="card">Status<b>${status}</b></div>
+<div class="card">Spam actions (24h)<b>${stats.spam24h.reduce((sum, r) => sum + r.count, 0)}</b></div>
+</div>
+
+<h2>Power</h2>
+<form class="inline" method="post" action="${base}/power"><input type="hidden" name="active" value="${active ? "false" : "true"}">
+<button>${active ? "Shut down" : "Power on"}</button></form>
+<form method="post" action="${base}/power">
+<input name="maintenance" size="60" placeholder="Maintenance message (empty to turn off)" value="${escapeHtml(maintenance === true ? "" : maintenance)}">
+<button>Set maintenance</button>
+</form>
+
+<h2>Users (${users.total})</h2>
+<form method="get" action="${base}/">
+<input name="search" value="${escapeHtml(search)}" placeholder="id, @username or name"> <button>Search</button>
+</form>
+<table><tr><th>ID</th><th>Name</th><th>Last seen (UTC)</th><th>Status</th><th></th></tr>${userRows}</table>
+<p>${users.page > 1 ? `<a href="${pageLink(users.page - 1)}">← Prev</a>` : ""}
+Page ${users.page}/${users.pages}
+${users.page < users.pages ? `<a href="${pageLink(users.page + 1)}">Next →</a>` : ""}</p>
+
+<h2>Broadcast</h2>
+<form method="post" action="${base}/broadcasts">
+<textarea name="text" placeholder="Message to every active user"></textarea>
+<input name="days" size="6" placeholder="days"> <span class="muted">seen in the last N days</span>
+<input name="chatId" size="16" placeholder="chat id"> <span class="muted">members of a chat</span>
+<button>Send</button>
+</form>
+<table><tr><th>ID</th><th>Status</th><th>Progress</th><th>Created (UTC)</th><th></th></tr>${broadcastRows}</table>`));
+    });
+
+    const back = (req, res) => res.redirect(303, req.baseUrl + "/");
+    router.post("/users/:id/ban", async (req, res) => {
+        await actions.ban(req.params.id);
+        back(req, res);
+    });
+    router.post("/users/:id/unban", async (req, res) => {
+        await actions.unban(req.params.id);
+        back(req, res);
+    });
+    router.post("/broadcasts", async (req, res) => {
+        await actions.startBroadcast(req.body || {});
+        back(req, res);
+    });
+    router.post("/broadcasts/:id/cancel", async (req, res) => {
+        await actions.cancelBroadcast(req.params.id);
+        back(req, res);
+    });
+    router.post("/power", async (req, res) => {
+        await actions.setPower(req.body || {});
+        back(req, res);
+    });
+    router.use((err, req, res, next) => {
+        if (err instanceof ApiError) return res.status(err.status).send(layout("Error", `<p>${escapeHtml(err.message)}</p><a href="${req.baseUrl}/">Back</a>`));
+        console.error("Dashboard error:", err);
+        res.status(500).send(layout("Error", `<p>Something went wrong.</p><a href="${req.baseUrl}/">Back</a>`));
+    });
+
+    return router;
+}
+
+module.exports = { createDashboard };
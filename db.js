@@ -0,0 +1,1182 @@
+const { Pool } = require("pg");
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+async function initDatabase() {
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS active_users (
+            user_id BIGINT PRIMARY KEY,
+            first_seen TIMESTAMP DEFAULT NOW(),
+            last_seen TIMESTAMP DEFAULT NOW()
+        )
+    `);
+    await pool.query(`ALTER TABLE active_users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE`);
+    await pool.query(`ALTER TABLE active_users ADD COLUMN IF NOT EXISTS username TEXT`);
+    await pool.query(`ALTER TABLE active_users ADD COLUMN IF NOT EXISTS first_name TEXT`);
+    await pool.query(`ALTER TABLE active_users ADD COLUMN IF NOT EXISTS language_code TEXT`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_chats (
+            user_id BIGINT NOT NULL,
+            chat_id BIGINT NOT NULL,
+            last_seen TIMESTAMP DEFAULT NOW(),
+            PRIMARY KEY (user_id, chat_id)
+        )
+    `);
+    await pool.query(`ALTER TABLE user_chats ADD COLUMN IF NOT EXISTS joined_at TIMESTAMPTZ`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS spam_events (
+            id SERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            reason TEXT NOT NULL,
+            action TEXT NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS banned_users (
+            user_id BIGINT PRIMARY KEY,
+            banned_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS admin_roles (
+            user_id BIGINT NOT NULL,
+            chat_id BIGINT NOT NULL DEFAULT 0,
+            role TEXT NOT NULL,
+            granted_by BIGINT,
+            granted_at TIMESTAMPTZ DEFAULT NOW(),
+            PRIMARY KEY (user_id, chat_id)
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS bot_settings (
+            key TEXT PRIMARY KEY,
+            value JSONB,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            id SERIAL PRIMARY KEY,
+            action TEXT NOT NULL,
+            chat_id BIGINT,
+            user_id BIGINT,
+            payload JSONB DEFAULT '{}',
+            due_at TIMESTAMPTZ NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            error TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            finished_at TIMESTAMPTZ
+        )
+    `);
+    await pool.query(`
+        CREATE INDEX IF NOT EXISTS scheduled_jobs_pending_idx
+        ON scheduled_jobs (due_at) WHERE status = 'pending'
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS chat_settings (
+            chat_id BIGINT PRIMARY KEY,
+            settings JSONB NOT NULL DEFAULT '{}',
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS warnings (
+            id SERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            reason TEXT,
+            warned_by BIGINT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ
+        )
+    `);
+    await pool.query(`
+        CREATE INDEX IF NOT EXISTS warnings_chat_user_idx ON warnings (chat_id, user_id)
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS pending_captchas (
+            chat_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            answer TEXT NOT NULL,
+            message_id BIGINT,
+            expires_at TIMESTAMPTZ NOT NULL,
+            PRIMARY KEY (chat_id, user_id)
+        )
+    `);
+    await pool.query(`ALTER TABLE pending_captchas ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS broadcasts (
+            id SERIAL PRIMARY KEY,
+            created_by BIGINT,
+            report_chat_id BIGINT,
+            progress_message_id BIGINT,
+            content JSONB NOT NULL,
+            audience JSONB DEFAULT '{}',
+            status TEXT NOT NULL DEFAULT 'pending',
+            total INTEGER DEFAULT 0,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            started_at TIMESTAMPTZ,
+            finished_at TIMESTAMPTZ
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS broadcast_recipients (
+            broadcast_id INTEGER NOT NULL REFERENCES broadcasts (id) ON DELETE CASCADE,
+            user_id BIGINT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            error TEXT,
+            sent_at TIMESTAMPTZ,
+            PRIMARY KEY (broadcast_id, user_id)
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS ai_threads (
+            id SERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS ai_messages (
+            id SERIAL PRIMARY KEY,
+            thread_id INTEGER NOT NULL REFERENCES ai_threads (id) ON DELETE CASCADE,
+            role TEXT NOT NULL,
+            content TEXT NOT NULL,
+            message_id BIGINT,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS ai_personas (
+            chat_id BIGINT PRIMARY KEY,
+            persona TEXT NOT NULL,
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS ai_chat_providers (
+            chat_id BIGINT PRIMARY KEY,
+            provider TEXT NOT NULL
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS content_items (
+            id SERIAL PRIMARY KEY,
+            category TEXT NOT NULL,
+            text TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'approved',
+            submitted_by BIGINT,
+            reviewed_by BIGINT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            UNIQUE (category, text)
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS content_seen (
+            chat_id BIGINT NOT NULL,
+            item_id INTEGER NOT NULL REFERENCES content_items(id) ON DELETE CASCADE,
+            PRIMARY KEY (chat_id, item_id)
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS short_links (
+            slug TEXT PRIMARY KEY,
+            url TEXT NOT NULL,
+            owner_id BIGINT NOT NULL,
+            custom BOOLEAN NOT NULL DEFAULT FALSE,
+            clicks INTEGER NOT NULL DEFAULT 0,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            expires_at TIMESTAMPTZ
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS short_link_clicks (
+            id SERIAL PRIMARY KEY,
+            slug TEXT NOT NULL REFERENCES short_links(slug) ON DELETE CASCADE,
+            clicked_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS events (
+            id BIGSERIAL PRIMARY KEY,
+            type TEXT NOT NULL,
+            name TEXT NOT NULL,
+            user_id BIGINT,
+            chat_id BIGINT,
+            latency_ms INTEGER,
+            success BOOLEAN NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS events_created_at_idx ON events (created_at)`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_timezones (
+            user_id BIGINT PRIMARY KEY,
+            timezone TEXT NOT NULL
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_languages (
+            user_id BIGINT PRIMARY KEY,
+            language TEXT NOT NULL
+        )
+    `);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS reminders (
+            id SERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            user_name TEXT,
+            text TEXT NOT NULL,
+            rule JSONB,
+            timezone TEXT NOT NULL,
+            next_run TIMESTAMPTZ NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`ALTER TABLE reminders ADD COLUMN IF NOT EXISTS last_run TIMESTAMPTZ`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS game_scores (
+            id BIGSERIAL PRIMARY KEY,
+            chat_id BIGINT,
+            user_id BIGINT NOT NULL,
+            user_name TEXT,
+            game TEXT NOT NULL,
+            points INTEGER NOT NULL,
+            won BOOLEAN NOT NULL DEFAULT FALSE,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS game_scores_chat_idx ON game_scores (chat_id, created_at)`);
+    await pool.query(`
+        CREATE TABLE IF NOT EXISTS automod_cases (
+            id BIGSERIAL PRIMARY KEY,
+            chat_id BIGINT NOT NULL,
+            user_id BIGINT NOT NULL,
+            user_name TEXT,
+            category TEXT NOT NULL,
+            action TEXT NOT NULL,
+            score REAL NOT NULL,
+            text TEXT,
+            status TEXT NOT NULL DEFAULT 'open',
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        )
+    `);
+}
+
+async function ping() {
+    await pool.query(`SELECT 1`);
+}
+
+async function trackUser(userId, { username, first_name, language_code } = {}) {
+    await pool.query(`
+        INSERT INTO active_users (user_id, last_seen, username, first_name, language_code)
+        VALUES ($1, NOW(), $2, $3, $4)
+        ON CONFLICT (user_id) DO UPDATE SET
+            last_seen = NOW(),
+            is_active = TRUE,
+            username = COALESCE($2, active_users.username),
+            first_name = COALESCE($3, active_users.first_name),
+            language_code = COALESCE($4, active_users.language_code)
+    `, [userId, username || null, first_name || null, language_code || null]);
+}
+
+async function trackChatUser(userId, chatId) {
+    await pool.query(`
+        INSERT INTO user_chats (user_id, chat_id, last_seen)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (user_id, chat_id) DO UPDATE SET last_seen = NOW()
+    `, [userId, chatId]);
+}
+
+async function trackChatJoin(userId, chatId) {
+    await pool.query(`
+        INSERT INTO user_chats (user_id, chat_id, last_seen, joined_at)
+        VALUES ($1, $2, NOW(), NOW())
+        ON CONFLICT (user_id, chat_id) DO UPDATE SET joined_at = NOW()
+    `, [userId, chatId]);
+}
+
+async function getJoinedAt(userId, chatId) {
+    const result = await pool.query(`
+        SELECT joined_at FROM user_chats WHERE user_id = $1 AND chat_id = $2
+    `, [userId, chatId]);
+    return result.rows.length > 0 ? result.rows[0].joined_at : null;
+}
+
+async function recordSpamEvent({ chatId, userId, reason, action }) {
+    await pool.query(`
+        INSERT INTO spam_events (chat_id, user_id, reason, action) VALUES ($1, $2, $3, $4)
+    `, [chatId, userId, reason, action]);
+}
+
+// Counts by reason over the last day, for one chat or all of them.
+async function getSpamStats(chatId) {
+    const result = await pool.query(`
+        SELECT reason, COUNT(*)::int AS count FROM spam_events
+        WHERE created_at > NOW() - INTERVAL '1 day' AND ($1::bigint IS NULL OR chat_id = $1)
+        GROUP BY reason
+        ORDER BY count DESC
+    `, [chatId || null]);
+    return result.rows;
+}
+
+async function markUserInactive(userId) {
+    await pool.query(`UPDATE active_users SET is_active = FALSE WHERE user_id = $1`, [userId]);
+}
+
+async function getActiveUserCount() {
+    const result = await pool.query(`SELECT COUNT(*) FROM active_users`);
+    return result.rows[0].count;
+}
+
+async function getAllActiveUsers() {
+    const result = await pool.query(`SELECT user_id FROM active_users`);
+    return result.rows.map(r => r.user_id);
+}
+
+// Users matching `search` by id, username or first name, newest first.
+async function listUsers({ search, limit, offset }) {
+    const params = [limit, offset || 0];
+    let where = "";
+    if (search) {
+        params.push(`%${search.replace(/^@/, "")}%`);
+        where = `WHERE u.user_id::text LIKE $3 OR u.username ILIKE $3 OR u.first_name ILIKE $3`;
+    }
+    const result = await pool.query(`
+        SELECT u.*, (b.user_id IS NOT NULL) AS banned, COUNT(*) OVER()::int AS total
+        FROM active_users u
+        LEFT JOIN banned_users b ON b.user_id = u.user_id
+        ${where}
+        ORDER BY u.last_seen DESC
+        LIMIT $1 OFFSET $2
+    `, params);
+    return { users: result.rows, total: result.rows.length > 0 ? result.rows[0].total : 0 };
+}
+
+async function banUser(userId) {
+    await pool.query(`INSERT INTO banned_users (user_id) VALUES ($1) ON CONFLICT DO NOTHING`, [userId]);
+}
+
+async function unbanUser(userId) {
+    await pool.query(`DELETE FROM banned_users WHERE user_id = $1`, [userId]);
+}
+
+async function isUserBanned(userId) {
+    const result = await pool.query(`SELECT 1 FROM banned_users WHERE user_id = $1`, [userId]);
+    return result.rows.length > 0;
+}
+
+async function getAllBannedUsers() {
+    const result = await pool.query(`SELECT user_id FROM banned_users`);
+    return result.rows.map(r => r.user_id);
+}
+
+// Creates the campaign and snapshots its recipients in one transaction, so a
+// resumed broadcast never picks up users who appeared after it started.
+async function createBroadcast({ createdBy, reportChatId, content, audience }) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const campaign = (await client.query(`
+            INSERT INTO broadcasts (created_by, report_chat_id, content, audience)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *
+        `, [createdBy, reportChatId, content, audience])).rows[0];
+
+        const conditions = ["is_active"];
+        const params = [campaign.id];
+        if (audience.days) {
+            params.push(audience.days);
+            conditions.push(`last_seen >= NOW() - make_interval(days => $${params.length})`);
+        }
+        if (audience.chatId) {
+            params.push(audience.chatId);
+            conditions.push(`user_id IN (SELECT user_id FROM user_chats WHERE chat_id = $${params.length})`);
+        }
+        const inserted = await client.query(`
+            INSERT INTO broadcast_recipients (broadcast_id, user_id)
+            SELECT $1, user_id FROM active_users WHERE ${conditions.join(" AND ")}
+        `, params);
+
+        campaign.total = inserted.rowCount;
+        await client.query(`UPDATE broadcasts SET total = $2 WHERE id = $1`, [campaign.id, campaign.total]);
+        await client.query("COMMIT");
+        return campaign;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+async function getBroadcast(id) {
+    const result = id
+        ? await pool.query(`SELECT * FROM broadcasts WHERE id = $1`, [id])
+        : await pool.query(`SELECT * FROM broadcasts ORDER BY id DESC LIMIT 1`);
+    return result.rows[0] || null;
+}
+
+async function listBroadcasts(limit) {
+    const result = await pool.query(`SELECT * FROM broadcasts ORDER BY id DESC LIMIT $1`, [limit]);
+    return result.rows;
+}
+
+async function getUnfinishedBroadcasts() {
+    const result = await pool.query(`
+        SELECT * FROM broadcasts WHERE status IN ('pending', 'running') ORDER BY id
+    `);
+    return result.rows;
+}
+
+async function setBroadcastStatus(id, status) {
+    await pool.query(`
+        UPDATE broadcasts SET
+            status = $2,
+            started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+            finished_at = CASE WHEN $2 IN ('done', 'cancelled') THEN NOW() ELSE finished_at END
+        WHERE id = $1
+    `, [id, status]);
+}
+
+async function setBroadcastProgressMessage(id, messageId) {
+    await pool.query(`UPDATE broadcasts SET progress_message_id = $2 WHERE id = $1`, [id, messageId]);
+}
+
+async function getPendingRecipients(broadcastId, limit) {
+    const result = await pool.query(`
+        SELECT user_id FROM broadcast_recipients
+        WHERE broadcast_id = $1 AND status = 'pending'
+        ORDER BY user_id
+        LIMIT $2
+    `, [broadcastId, limit]);
+    return result.rows.map(r => r.user_id);
+}
+
+async function setRecipientStatus(broadcastId, userId, status, error) {
+    await pool.query(`
+        UPDATE broadcast_recipients SET status = $3, error = $4, sent_at = NOW()
+        WHERE broadcast_id = $1 AND user_id = $2
+    `, [broadcastId, userId, status, error || null]);
+}
+
+async function getBroadcastCounts(broadcastId) {
+    const result = await pool.query(`
+        SELECT status, COUNT(*)::int AS count FROM broadcast_recipients
+        WHERE broadcast_id = $1
+        GROUP BY status
+    `, [broadcastId]);
+    const counts = { pending: 0, sent: 0, failed: 0, blocked: 0 };
+    result.rows.forEach(r => counts[r.status] = r.count);
+    return counts;
+}
+
+async function getAdminRoles() {
+    const result = await pool.query(`SELECT user_id, chat_id, role FROM admin_roles`);
+    return result.rows;
+}
+
+async function setAdminRole(userId, chatId, role, grantedBy) {
+    await pool.query(`
+        INSERT INTO admin_roles (user_id, chat_id, role, granted_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (user_id, chat_id) DO UPDATE SET role = $3, granted_by = $4, granted_at = NOW()
+    `, [userId, chatId, role, grantedBy]);
+}
+
+async function deleteAdminRole(userId, chatId) {
+    await pool.query(`DELETE FROM admin_roles WHERE user_id = $1 AND chat_id = $2`, [userId, chatId]);
+}
+
+async function getSetting(key) {
+    const result = await pool.query(`SELECT value FROM bot_settings WHERE key = $1`, [key]);
+    return result.rows.length > 0 ? result.rows[0].value : null;
+}
+
+async function setSetting(key, value) {
+    await pool.query(`
+        INSERT INTO bot_settings (key, value, updated_at) VALUES ($1, $2, NOW())
+        ON CONFLICT (key) DO UPDATE SET value = $2, updated_at = NOW()
+    `, [key, JSON.stringify(value)]);
+}
+
+async function getChatSettings(chatId) {
+    const result = await pool.query(`SELECT settings FROM chat_settings WHERE chat_id = $1`, [chatId]);
+    return result.rows.length > 0 ? result.rows[0].settings : null;
+}
+
+async function saveChatSettings(chatId, settings) {
+    await pool.query(`
+        INSERT INTO chat_settings (chat_id, settings, updated_at) VALUES ($1, $2, NOW())
+        ON CONFLICT (chat_id) DO UPDATE SET settings = $2, updated_at = NOW()
+    `, [chatId, settings]);
+}
+
+async function addWarning({ chatId, userId, reason, warnedBy, expiresAt }) {
+    await pool.query(`
+        INSERT INTO warnings (chat_id, user_id, reason, warned_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [chatId, userId, reason, warnedBy, expiresAt]);
+}
+
+async function getActiveWarnings(chatId, userId) {
+    const result = await pool.query(`
+        SELECT * FROM warnings
+        WHERE chat_id = $1 AND user_id = $2 AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY id
+    `, [chatId, userId]);
+    return result.rows;
+}
+
+async function removeLatestWarning(chatId, userId) {
+    const result = await pool.query(`
+        DELETE FROM warnings WHERE id = (
+            SELECT id FROM warnings
+            WHERE chat_id = $1 AND user_id = $2 AND (expires_at IS NULL OR expires_at > NOW())
+            ORDER BY id DESC LIMIT 1
+        )
+    `, [chatId, userId]);
+    return result.rowCount;
+}
+
+async function clearWarnings(chatId, userId) {
+    const result = await pool.query(`DELETE FROM warnings WHERE chat_id = $1 AND user_id = $2`, [chatId, userId]);
+    return result.rowCount;
+}
+
+async function savePendingCaptcha({ chatId, userId, answer, messageId, expiresAt }) {
+    await pool.query(`
+        INSERT INTO pending_captchas (chat_id, user_id, answer, message_id, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (chat_id, user_id) DO UPDATE SET answer = $3, message_id = $4, expires_at = $5, attempts = 0
+    `, [chatId, userId, answer, messageId, expiresAt]);
+}
+
+// Swaps in the answer to a new question and counts the attempt, returning
+// the row with the answer it replaced (or null). Locking the row makes
+// every press use up its question, so pressing all buttons at once fails.
+async function takeCaptchaAttempt(chatId, userId, nextAnswer) {
+    const result = await pool.query(`
+        WITH previous AS (
+            SELECT answer FROM pending_captchas
+            WHERE chat_id = $1 AND user_id = $2
+            FOR UPDATE
+        )
+        UPDATE pending_captchas SET answer = $3, attempts = attempts + 1
+        FROM previous
+        WHERE chat_id = $1 AND user_id = $2
+        RETURNING pending_captchas.*, previous.answer AS previous_answer
+    `, [chatId, userId, nextAnswer]);
+    return result.rows[0] || null;
+}
+
+async function getPendingCaptcha(chatId, userId) {
+    const result = await pool.query(`
+        SELECT * FROM pending_captchas WHERE chat_id = $1 AND user_id = $2
+    `, [chatId, userId]);
+    return result.rows[0] || null;
+}
+
+async function deletePendingCaptcha(chatId, userId) {
+    const result = await pool.query(`
+        DELETE FROM pending_captchas WHERE chat_id = $1 AND user_id = $2
+    `, [chatId, userId]);
+    return result.rowCount;
+}
+
+async function createJob({ action, chatId, userId, payload, dueAt }) {
+    const result = await pool.query(`
+        INSERT INTO scheduled_jobs (action, chat_id, user_id, payload, due_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+    `, [action, chatId, userId, payload || {}, dueAt]);
+    return result.rows[0];
+}
+
+// Marks due jobs as running in one statement so that each job is handed to
+// exactly one worker, even if two ticks (or two processes) overlap.
+async function claimDueJobs(limit = 20) {
+    const result = await pool.query(`
+        UPDATE scheduled_jobs SET status = 'running'
+        WHERE id IN (
+            SELECT id FROM scheduled_jobs
+            WHERE status = 'pending' AND due_at <= NOW()
+            ORDER BY due_at
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [limit]);
+    return result.rows;
+}
+
+async function finishJob(id, error) {
+    await pool.query(`
+        UPDATE scheduled_jobs SET status = $2, error = $3, finished_at = NOW()
+        WHERE id = $1
+    `, [id, error ? "failed" : "done", error || null]);
+}
+
+// Jobs left "running" by a previous process never finished. Moderation
+// actions are idempotent and reminders claim each run before sending (see
+// claimReminderRun), so they are simply queued again.
+async function requeueInterruptedJobs() {
+    const result = await pool.query(`
+        UPDATE scheduled_jobs SET status = 'pending' WHERE status = 'running'
+    `);
+    return result.rowCount;
+}
+
+async function cancelJobs({ action, chatId, userId }) {
+    const result = await pool.query(`
+        UPDATE scheduled_jobs SET status = 'cancelled', finished_at = NOW()
+        WHERE status = 'pending' AND action = $1 AND chat_id = $2 AND user_id = $3
+    `, [action, chatId, userId]);
+    return result.rowCount;
+}
+
+async function getPendingJobs({ action, chatId }) {
+    const result = await pool.query(`
+        SELECT * FROM scheduled_jobs
+        WHERE status = 'pending' AND action = $1 AND chat_id = $2
+        ORDER BY due_at
+    `, [action, chatId]);
+    return result.rows;
+}
+
+async function createThread(chatId) {
+    const result = await pool.query(`
+        INSERT INTO ai_threads (chat_id) VALUES ($1) RETURNING id
+    `, [chatId]);
+    return result.rows[0].id;
+}
+
+async function getLatestThread(chatId) {
+    const result = await pool.query(`
+        SELECT id FROM ai_threads WHERE chat_id = $1 ORDER BY id DESC LIMIT 1
+    `, [chatId]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function findThreadByMessage(chatId, messageId) {
+    const result = await pool.query(`
+        SELECT t.id FROM ai_threads t
+        JOIN ai_messages m ON m.thread_id = t.id
+        WHERE t.chat_id = $1 AND m.message_id = $2
+        LIMIT 1
+    `, [chatId, messageId]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+async function addThreadMessage(threadId, role, content, messageId) {
+    await pool.query(`
+        INSERT INTO ai_messages (thread_id, role, content, message_id)
+        VALUES ($1, $2, $3, $4)
+    `, [threadId, role, content, messageId]);
+}
+
+// Newest first; callers reverse after trimming to their window.
+async function getThreadMessages(threadId, limit) {
+    const result = await pool.query(`
+        SELECT role, content FROM ai_messages
+        WHERE thread_id = $1
+        ORDER BY id DESC
+        LIMIT $2
+    `, [threadId, limit]);
+    return result.rows;
+}
+
+async function deleteThreads(chatId) {
+    await pool.query(`DELETE FROM ai_threads WHERE chat_id = $1`, [chatId]);
+}
+
+async function getPersona(chatId) {
+    const result = await pool.query(`SELECT persona FROM ai_personas WHERE chat_id = $1`, [chatId]);
+    return result.rows.length > 0 ? result.rows[0].persona : null;
+}
+
+async function setPersona(chatId, persona) {
+    if (!persona) {
+        await pool.query(`DELETE FROM ai_personas WHERE chat_id = $1`, [chatId]);
+        return;
+    }
+    await pool.query(`
+        INSERT INTO ai_personas (chat_id, persona, updated_at)
+        VALUES ($1, $2, NOW())
+        ON CONFLICT (chat_id) DO UPDATE SET persona = $2, updated_at = NOW()
+    `, [chatId, persona]);
+}
+
+async function getChatProvider(chatId) {
+    const result = await pool.query(`SELECT provider FROM ai_chat_providers WHERE chat_id = $1`, [chatId]);
+    return result.rows.length > 0 ? result.rows[0].provider : null;
+}
+
+async function setChatProvider(chatId, provider) {
+    if (!provider) {
+        await pool.query(`DELETE FROM ai_chat_providers WHERE chat_id = $1`, [chatId]);
+        return;
+    }
+    await pool.query(`
+        INSERT INTO ai_chat_providers (chat_id, provider) VALUES ($1, $2)
+        ON CONFLICT (chat_id) DO UPDATE SET provider = $2
+    `, [chatId, provider]);
+}
+
+// Seed entries are inserted once; removed entries keep their row (status
+// 'removed') so reseeding doesn't bring them back.
+async function seedContent(items) {
+    let added = 0;
+    for (const { category, text } of items) {
+        const result = await pool.query(`
+            INSERT INTO content_items (category, text) VALUES ($1, $2)
+            ON CONFLICT (category, text) DO NOTHING
+        `, [category, text]);
+        added += result.rowCount;
+    }
+    return added;
+}
+
+async function addContent({ category, text, status, submittedBy, reviewedBy }) {
+    const result = await pool.query(`
+        INSERT INTO content_items (category, text, status, submitted_by, reviewed_by)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (category, text) DO UPDATE SET status = $3, submitted_by = $4, reviewed_by = $5
+        WHERE content_items.status IN ('removed', 'rejected')
+        RETURNING *
+    `, [category, text, status, submittedBy || null, reviewedBy || null]);
+    return result.rows[0] || null;
+}
+
+async function getContent(id) {
+    const result = await pool.query(`SELECT * FROM content_items WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+async function setContentStatus(id, status, reviewedBy) {
+    const result = await pool.query(`
+        UPDATE content_items SET status = $2, reviewed_by = $3 WHERE id = $1 RETURNING *
+    `, [id, status, reviewedBy || null]);
+    return result.rows[0] || null;
+}
+
+async function listContent({ category, status, limit, offset }) {
+    const result = await pool.query(`
+        SELECT * FROM content_items
+        WHERE status = $1 AND ($2::text IS NULL OR category = $2)
+        ORDER BY id
+        LIMIT $3 OFFSET $4
+    `, [status, category || null, limit, offset || 0]);
+    return result.rows;
+}
+
+async function countContent({ category, status }) {
+    const result = await pool.query(`
+        SELECT category, COUNT(*)::int AS count FROM content_items
+        WHERE status = $1 AND ($2::text IS NULL OR category = $2)
+        GROUP BY category
+    `, [status, category || null]);
+    return result.rows;
+}
+
+// A random approved entry the chat hasn't seen yet. Once the pool is used
+// up, the chat's history for that category is cleared and it starts over.
+async function pickContent(chatId, category) {
+    const pick = () => pool.query(`
+        SELECT * FROM content_items i
+        WHERE i.category = $1 AND i.status = 'approved'
+          AND NOT EXISTS (SELECT 1 FROM content_seen s WHERE s.chat_id = $2 AND s.item_id = i.id)
+        ORDER BY random()
+        LIMIT 1
+    `, [category, chatId]);
+
+    let result = await pick();
+    if (result.rows.length === 0) {
+        await pool.query(`
+            DELETE FROM content_seen
+            WHERE chat_id = $1 AND item_id IN (SELECT id FROM content_items WHERE category = $2)
+        `, [chatId, category]);
+        result = await pick();
+    }
+    const item = result.rows[0];
+    if (!item) return null;
+
+    await pool.query(`
+        INSERT INTO content_seen (chat_id, item_id) VALUES ($1, $2) ON CONFLICT DO NOTHING
+    `, [chatId, item.id]);
+    return item;
+}
+
+// Returns null when the slug is taken.
+async function createShortLink({ slug, url, ownerId, custom, expiresAt }) {
+    const result = await pool.query(`
+        INSERT INTO short_links (slug, url, owner_id, custom, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (slug) DO NOTHING
+        RETURNING *
+    `, [slug, url, ownerId, custom, expiresAt || null]);
+    return result.rows[0] || null;
+}
+
+// A generated, non-expiring link the user already made for this URL.
+async function findShortLink(ownerId, url) {
+    const result = await pool.query(`
+        SELECT * FROM short_links
+        WHERE owner_id = $1 AND url = $2 AND NOT custom AND expires_at IS NULL
+        LIMIT 1
+    `, [ownerId, url]);
+    return result.rows[0] || null;
+}
+
+async function getShortLink(slug) {
+    const result = await pool.query(`SELECT * FROM short_links WHERE slug = $1`, [slug]);
+    return result.rows[0] || null;
+}
+
+async function recordShortLinkClick(slug) {
+    await pool.query(`UPDATE short_links SET clicks = clicks + 1 WHERE slug = $1`, [slug]);
+    await pool.query(`INSERT INTO short_link_clicks (slug) VALUES ($1)`, [slug]);
+}
+
+async function getShortLinkClicks(slug, days) {
+    const result = await pool.query(`
+        SELECT date_trunc('day', clicked_at) AS day, COUNT(*)::int AS clicks
+        FROM short_link_clicks
+        WHERE slug = $1 AND clicked_at > NOW() - make_interval(days => $2)
+        GROUP BY day
+        ORDER BY day
+    `, [slug, days]);
+    const last = await pool.query(`SELECT MAX(clicked_at) AS last FROM short_link_clicks WHERE slug = $1`, [slug]);
+    return { daily: result.rows, lastClick: last.rows[0].last };
+}
+
+async function recordEvent({ type, name, userId, chatId, latencyMs, success }) {
+    await pool.query(`
+        INSERT INTO events (type, name, user_id, chat_id, latency_ms, success)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [type, name, userId || null, chatId || null, latencyMs, success]);
+}
+
+async function pruneEvents(days) {
+    const result = await pool.query(`DELETE FROM events WHERE created_at < NOW() - make_interval(days => $1)`, [days]);
+    return result.rowCount;
+}
+
+// Active, new and returning users from active_users. "New" users were first
+// seen in the last 7 days; "returning" ones were seen then but first earlier.
+async function getUserActivity() {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE last_seen > NOW() - INTERVAL '1 day')::int AS dau,
+            COUNT(*) FILTER (WHERE last_seen > NOW() - INTERVAL '7 days')::int AS wau,
+            COUNT(*) FILTER (WHERE last_seen > NOW() - INTERVAL '30 days')::int AS mau,
+            COUNT(*) FILTER (WHERE first_seen > NOW() - INTERVAL '7 days')::int AS new_users,
+            COUNT(*) FILTER (WHERE first_seen <= NOW() - INTERVAL '7 days'
+                AND last_seen > NOW() - INTERVAL '7 days')::int AS returning_users
+        FROM active_users
+    `);
+    return result.rows[0];
+}
+
+async function getRecentUsers(hours, limit) {
+    const result = await pool.query(`
+        SELECT user_id, username, first_name, COUNT(*) OVER()::int AS total
+        FROM active_users
+        WHERE last_seen > NOW() - make_interval(hours => $1)
+        ORDER BY last_seen DESC
+        LIMIT $2
+    `, [hours, limit]);
+    return { users: result.rows, total: result.rows.length > 0 ? result.rows[0].total : 0 };
+}
+
+async function getTopCommands(days, limit) {
+    const result = await pool.query(`
+        SELECT name, COUNT(*)::int AS count FROM events
+        WHERE type IN ('command', 'inline', 'callback') AND created_at > NOW() - make_interval(days => $1)
+        GROUP BY name
+        ORDER BY count DESC
+        LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+}
+
+async function getTopChats(days, limit) {
+    const result = await pool.query(`
+        SELECT chat_id, COUNT(*)::int AS count FROM events
+        WHERE chat_id IS NOT NULL AND chat_id <> user_id AND created_at > NOW() - make_interval(days => $1)
+        GROUP BY chat_id
+        ORDER BY count DESC
+        LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+}
+
+async function getAIEventStats(days) {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*)::int AS total,
+            COUNT(*) FILTER (WHERE NOT success)::int AS failed,
+            ROUND(AVG(latency_ms))::int AS avg_latency
+        FROM events
+        WHERE type = 'ai' AND created_at > NOW() - make_interval(days => $1)
+    `, [days]);
+    return result.rows[0];
+}
+
+// Events and distinct users per UTC day (YYYY-MM-DD), oldest first,
+// including days without events.
+async function getDailyEvents(days) {
+    const result = await pool.query(`
+        SELECT to_char(d.day, 'YYYY-MM-DD') AS day, COUNT(e.id)::int AS events, COUNT(DISTINCT e.user_id)::int AS users
+        FROM generate_series(
+            (NOW() AT TIME ZONE 'UTC')::date - ($1::int - 1),
+            (NOW() AT TIME ZONE 'UTC')::date,
+            INTERVAL '1 day'
+        ) AS d(day)
+        LEFT JOIN events e ON (e.created_at AT TIME ZONE 'UTC')::date = d.day
+        GROUP BY d.day
+        ORDER BY d.day
+    `, [days]);
+    return result.rows;
+}
+
+async function listEvents(days, limit) {
+    const result = await pool.query(`
+        SELECT created_at, type, name, user_id, chat_id, latency_ms, success FROM events
+        WHERE created_at > NOW() - make_interval(days => $1)
+        ORDER BY created_at
+        LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+}
+
+async function getTimezone(userId) {
+    const result = await pool.query(`SELECT timezone FROM user_timezones WHERE user_id = $1`, [userId]);
+    return result.rows.length > 0 ? result.rows[0].timezone : null;
+}
+
+async function setTimezone(userId, timezone) {
+    await pool.query(`
+        INSERT INTO user_timezones (user_id, timezone) VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE SET timezone = $2
+    `, [userId, timezone]);
+}
+
+async function getUserLanguage(userId) {
+    const result = await pool.query(`SELECT language FROM user_languages WHERE user_id = $1`, [userId]);
+    return result.rows.length > 0 ? result.rows[0].language : null;
+}
+
+// The language of the user's Telegram app, as last seen by trackUser.
+async function getLanguageCode(userId) {
+    const result = await pool.query(`SELECT language_code FROM active_users WHERE user_id = $1`, [userId]);
+    return result.rows.length > 0 ? result.rows[0].language_code : null;
+}
+
+async function setUserLanguage(userId, language) {
+    if (!language) {
+        await pool.query(`DELETE FROM user_languages WHERE user_id = $1`, [userId]);
+        return;
+    }
+    await pool.query(`
+        INSERT INTO user_languages (user_id, language) VALUES ($1, $2)
+        ON CONFLICT (user_id) DO UPDATE SET language = $2
+    `, [userId, language]);
+}
+
+async function createReminder({ chatId, userId, userName, text, rule, timezone, nextRun }) {
+    const result = await pool.query(`
+        INSERT INTO reminders (chat_id, user_id, user_name, text, rule, timezone, next_run)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [chatId, userId, userName, text, rule ? JSON.stringify(rule) : null, timezone, nextRun]);
+    return result.rows[0];
+}
+
+async function getReminder(id) {
+    const result = await pool.query(`SELECT * FROM reminders WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+// A user's active reminders, in one chat or everywhere.
+async function listReminders({ userId, chatId }) {
+    const result = await pool.query(`
+        SELECT * FROM reminders
+        WHERE status = 'active' AND user_id = $1 AND ($2::bigint IS NULL OR chat_id = $2)
+        ORDER BY next_run
+    `, [userId, chatId || null]);
+    return result.rows;
+}
+
+async function countActiveReminders(userId) {
+    const result = await pool.query(`
+        SELECT COUNT(*)::int AS count FROM reminders WHERE status = 'active' AND user_id = $1
+    `, [userId]);
+    return result.rows[0].count;
+}
+
+async function setReminderStatus(id, status) {
+    await pool.query(`UPDATE reminders SET status = $2 WHERE id = $1`, [id, status]);
+}
+
+async function setReminderNextRun(id, nextRun) {
+    await pool.query(`UPDATE reminders SET next_run = $2 WHERE id = $1`, [id, nextRun]);
+}
+
+// Records that the run due at `dueAt` is being sent. Returns false if it
+// already was, e.g. by a process that crashed before finishing the job.
+async function claimReminderRun(id, dueAt) {
+    const result = await pool.query(`
+        UPDATE reminders SET last_run = $2
+        WHERE id = $1 AND last_run IS DISTINCT FROM $2
+    `, [id, dueAt]);
+    return result.rowCount > 0;
+}
+
+// One row per player per finished game. Games played from inline mode have
+// no chat and only count towards the global standings.
+async function addGameScore({ chatId, userId, userName, game, points, won }) {
+    await pool.query(`
+        INSERT INTO game_scores (chat_id, user_id, user_name, game, points, won)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [chatId || null, userId, userName, game, points, won]);
+}
+
+// Points, wins and games per player, in one chat (or all of them when
+// chatId is null), over the last `days` days or all time.
+async function getLeaderboard({ chatId, days, limit }) {
+    const result = await pool.query(`
+        SELECT user_id, (ARRAY_AGG(user_name ORDER BY id DESC))[1] AS user_name,
+            SUM(points)::int AS points, COUNT(*) FILTER (WHERE won)::int AS wins, COUNT(*)::int AS games
+        FROM game_scores
+        WHERE ($1::bigint IS NULL OR chat_id = $1)
+          AND ($2::int IS NULL OR created_at > NOW() - make_interval(days => $2))
+        GROUP BY user_id
+        ORDER BY points DESC, wins DESC
+        LIMIT $3
+    `, [chatId || null, days || null, limit]);
+    return result.rows;
+}
+
+// A message the AI moderator acted on, kept so the action can be appealed
+// and undone. Status is open, appealed, upheld or overturned.
+async function createAutomodCase({ chatId, userId, userName, category, action, score, text }) {
+    const result = await pool.query(`
+        INSERT INTO automod_cases (chat_id, user_id, user_name, category, action, score, text)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+    `, [chatId, userId, userName, category, action, score, text]);
+    return result.rows[0];
+}
+
+async function getAutomodCase(id) {
+    const result = await pool.query(`SELECT * FROM automod_cases WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+}
+
+async function setAutomodCaseStatus(id, status) {
+    await pool.query(`UPDATE automod_cases SET status = $2 WHERE id = $1`, [id, status]);
+}
+
+module.exports = {
+    pool,
+    initDatabase,
+    ping,
+    trackUser,
+    trackChatUser,
+    trackChatJoin,
+    getJoinedAt,
+    recordSpamEvent,
+    getSpamStats,
+    markUserInactive,
+    getActiveUserCount,
+    getAllActiveUsers,
+    listUsers,
+    banUser,
+    unbanUser,
+    isUserBanned,
+    getAllBannedUsers,
+    createBroadcast,
+    getBroadcast,
+    listBroadcasts,
+    getUnfinishedBroadcasts,
+    setBroadcastStatus,
+    setBroadcastProgressMessage,
+    getPendingRecipients,
+    setRecipientStatus,
+    getBroadcastCounts,
+    getAdminRoles,
+    setAdminRole,
+    deleteAdminRole,
+    getSetting,
+    setSetting,
+    getChatSettings,
+    saveChatSettings,
+    addWarning,
+    getActiveWarnings,
+    removeLatestWarning,
+    clearWarnings,
+    savePendingCaptcha,
+    takeCaptchaAttempt,
+    getPendingCaptcha,
+    deletePendingCaptcha,
+    createJob,
+    claimDueJobs,
+    finishJob,
+    requeueInterruptedJobs,
+    cancelJobs,
+    getPendingJobs,
+    createThread,
+    getLatestThread,
+    findThreadByMessage,
+    addThreadMessage,
+    getThreadMessages,
+    deleteThreads,
+    getPersona,
+    setPersona,
+    getChatProvider,
+    setChatProvider,
+    seedContent,
+    addContent,
+    getContent,
+    setContentStatus,
+    listContent,
+    countContent,
+    pickContent,
+    createShortLink,
+    findShortLink,
+    getShortLink,
+    recordShortLinkClick,
+    getShortLinkClicks,
+    recordEvent,
+    pruneEvents,
+    getUserActivity,
+    getRecentUsers,
+    getTopCommands,
+    getTopChats,
+    getAIEventStats,
+    getDailyEvents,
+    listEvents,
+    getTimezone,
+    setTimezone,
+    getUserLanguage,
+    getLanguageCode,
+    setUserLanguage,
+    createReminder,
+    getReminder,
+    listReminders,
+    countActiveReminders,
+    setReminderStatus,
+    setReminderNextRun,
+    claimReminderRun,
+    addGameScore,
+    getLeaderboard,
+    createAutomodCase,
+    getAutomodCase,
+    setAutomodCaseStatus
+};
@@ -0,0 +1,106 @@
+const BAN_REFRESH_INTERVAL = 5 * 60 * 1000;
+
+// Gatekeeper that runs before every other handler. Banned users are dropped,
+// /shutdown silences the bot and maintenance mode answers with a notice;
+// admins always get through. Bans are cached in memory and the power and
+// maintenance switches are stored in Postgres so they survive restarts.
+function createEnforcement({ db, isAdmin }) {
+    const banned = new Set();
+    const state = {
+        botActive: true,
+        maintenance: null
+    };
+
+    async function load() {
+        const [ids, botActive, maintenance] = await Promise.all([
+            db.getAllBannedUsers(),
+            db.getSetting("bot_active"),
+            db.getSetting("maintenance")
+        ]);
+        banned.clear();
+        ids.forEach(id => banned.add(Number(id)));
+        if (botActive !== null) state.botActive = botActive;
+        state.maintenance = maintenance;
+    }
+
+    function startRefresh() {
+        setInterval(() => {
+            db.getAllBannedUsers()
+                .then(ids => {
+                    banned.clear();
+                    ids.forEach(id => banned.add(Number(id)));
+                })
+                .catch(err => console.error("Ban cache refresh error:", err));
+        }, BAN_REFRESH_INTERVAL).unref();
+    }
+
+    async function ban(userId) {
+        await db.banUser(userId);
+        banned.add(Number(userId));
+    }
+
+    async function unban(userId) {
+        await db.unbanUser(userId);
+        banned.delete(Number(userId));
+    }
+
+    async function setActive(active) {
+        state.botActive = active;
+        await db.setSetting("bot_active", active);
+    }
+
+    // `message` is a custom notice, or true for the default one in each
+    // user's language.
+    async function setMaintenance(message) {
+        state.maintenance = message || null;
+        await db.setSetting("maintenance", state.maintenance);
+    }
+
+    async function notifyMaintenance(ctx) {
+        const text = typeof state.maintenance === "string" ? state.maintenance : ctx.t("admin.maintenance.notice");
+        if (ctx.inlineQuery) {
+            return ctx.answerInlineQuery([{
+                type: "article",
+                id: "maintenance",
+                title: ctx.t("admin.maintenance.title"),
+                description: text,
+                input_message_content: { message_text: text }
+            }], { cache_time: 0 });
+        }
+        if (ctx.callbackQuery) return ctx.answerCbQuery(text);
+        if (ctx.message && ctx.message.text && ctx.message.text.startsWith("/")) return ctx.reply(text);
+    }
+
+    function middleware() {
+        return async (ctx, next) => {
+            if (!ctx.from || isAdmin(ctx)) return next();
+
+            if (banned.has(ctx.from.id)) {
+                if (ctx.callbackQuery) await ctx.answerCbQuery().catch(() => {});
+                return;
+            }
+            if (!state.botActive) {
+                if (ctx.callbackQuery) await ctx.answerCbQuery().catch(() => {});
+                return;
+            }
+            if (state.maintenance) {
+                return notifyMaintenance(ctx).catch(err => console.error("Maintenance notice error:", err));
+            }
+            return next();
+        };
+    }
+
+    return {
+        state,
+        load,
+        startRefresh,
+        middleware,
+        ban,
+        unban,
+        setActive,
+        setMaintenance,
+        isBanned: userId => banned.has(Number(userId))
+    };
+}
+
+module.exports = { createEnforcement };
@@ -0,0 +1,545 @@
+const crypto = require("crypto");
+const { Markup } = require("telegraf");
+const bank = require("./data/games.json");
+const { translate } = require("./i18n");
+
+const MAX_GAMES = 1000;
+// Lobbies and challenges nobody starts, and games nobody touches, expire.
+const LOBBY_TIME = 10 * 60 * 1000;
+const IDLE_TIME = 10 * 60 * 1000;
+const QUESTION_TIME = 20 * 1000;
+const DEFAULT_ROUNDS = 5;
+const MAX_ROUNDS = 15;
+const LIVES = 6;
+const SOLVE_BONUS = 2;
+const DUEL_POINTS = 3;
+const LEADERBOARD_SIZE = 10;
+const CATEGORIES = Object.keys(bank.trivia);
+// Telegram's limit on callback data, in bytes.
+const DATA_LIMIT = 64;
+const DICE = ["⚀", "⚁", "⚂", "⚃", "⚄", "⚅"];
+const MEDALS = ["🥇", "🥈", "🥉"];
+
+function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+function nameOf(user) {
+    return user.username ? `@${user.username}` : user.first_name;
+}
+
+function rows(buttons, size) {
+    const result = [];
+    for (let i = 0; i < buttons.length; i += size) result.push(buttons.slice(i, i + size));
+    return result;
+}
+
+// Where a game's message lives: a chat message, or a message sent from
+// inline mode, which only has an inline_message_id.
+function targetOf(ctx) {
+    const { inline_message_id: inlineMessageId, message } = ctx.callbackQuery;
+    return inlineMessageId ? { inlineMessageId } : { chatId: message.chat.id, messageId: message.message_id };
+}
+
+// Button data cut to Telegram's limit without splitting a character.
+function fit(data) {
+    while (Buffer.byteLength(data) > DATA_LIMIT) data = Array.from(data).slice(0, -1).join("");
+    return data;
+}
+
+// The key of the message a press came from, to find its game again.
+function messageKey(target) {
+    return target.inlineMessageId || `${target.chatId}:${target.messageId}`;
+}
+
+function validQuestion(q) {
+    return q && typeof q.question === "string" && typeof q.answer === "string" &&
+        Array.isArray(q.wrong) && q.wrong.length > 0 && q.wrong.every(w => typeof w === "string");
+}
+
+// Group games played on a single message with inline buttons: trivia,
+// hangman and dice duels. Every game edits the message it was started on,
+// so the same code serves chats and messages sent from inline mode (where
+// the bot may not be a member). Running games live in memory and are lost
+// on restart; finished games are scored in the game_scores table.
+//
+// Button data is "<game>:<id>:<action>[:args]"; the command modules hand
+// everything after "<game>:" to press(). Inline queries arrive on every
+// keystroke, so inline results are only previews: their buttons read
+// "<game>:new:<action>[:setup]" and the game is created on the first press,
+// once the message has been sent.
+function createGames({ db, ai, settings, metrics, telegram }) {
+    const games = new Map();
+    // Games started from a preview, by message, so presses that arrive
+    // before the buttons are replaced join the same game.
+    const started = new Map();
+
+    function create(ctx, type, fields) {
+        if (games.size >= MAX_GAMES) return null;
+        const game = {
+            id: crypto.randomBytes(4).toString("hex"),
+            type,
+            chatId: ctx.chat ? ctx.chat.id : null,
+            lang: ctx.lang,
+            t: ctx.t,
+            target: null,
+            timer: null,
+            players: new Map(),
+            ...fields
+        };
+        games.set(game.id, game);
+        arm(game, LOBBY_TIME, () => expire(game));
+        return game;
+    }
+
+    function drop(game) {
+        clearTimeout(game.timer);
+        games.delete(game.id);
+        if (game.previewKey) started.delete(game.previewKey);
+    }
+
+    function arm(game, delay, run) {
+        clearTimeout(game.timer);
+        game.timer = setTimeout(() => run().catch(err => metrics.handlerError(`Game ${game.type}`, err)), delay);
+        game.timer.unref();
+    }
+
+    function button(game, label, action) {
+        return Markup.button.callback(label, `${game.type}:${game.id}:${action}`);
+    }
+
+    function previewButton(type, label, action, setup = []) {
+        return Markup.button.callback(label, fit([type, "new", action, ...setup].join(":")));
+    }
+
+    async function render(game, text, keyboard) {
+        if (!game.target) return;
+        const { chatId, messageId, inlineMessageId } = game.target;
+        try {
+            await telegram.editMessageText(chatId, messageId, inlineMessageId, text,
+                keyboard ? Markup.inlineKeyboard(keyboard) : {});
+        } catch (err) {
+            if (!/message is not modified/.test(err.description || "")) throw err;
+        }
+    }
+
+    function score(game, user, points) {
+        const player = game.players.get(user.id) || { id: user.id, name: nameOf(user), points: 0 };
+        player.points += points;
+        game.players.set(user.id, player);
+        return player;
+    }
+
+    function ranking(game) {
+        return Array.from(game.players.values()).sort((a, b) => b.points - a.points);
+    }
+
+    function standingsText(game) {
+        return ranking(game)
+            .map((p, i) => game.t("games.standing", { rank: MEDALS[i] || `${i + 1}.`, name: p.name, count: p.points }))
+            .join("\n");
+    }
+
+    // Everyone sharing the best score, if anyone scored at all.
+    function leaders(game) {
+        const [first] = ranking(game);
+        return first && first.points > 0 ? ranking(game).filter(p => p.points === first.points) : [];
+    }
+
+    async function finish(game, winners) {
+        drop(game);
+        metrics.gamesFinished.inc({ game: game.type });
+        for (const player of game.players.values()) {
+            await db.addGameScore({
+                chatId: game.chatId,
+                userId: player.id,
+                userName: player.name,
+                game: game.type,
+                points: player.points,
+                won: winners.includes(player.id)
+            });
+        }
+    }
+
+    async function expire(game) {
+        drop(game);
+        const extra = game.type === "hangman" ? `\n${game.t("games.hangman.word", { word: game.word })}` : "";
+        await render(game, game.t("games.expired") + extra);
+    }
+
+    // "[questions] [category | ai <topic>]"
+    function trivia(ctx, options) {
+        const words = options ? options.split(/\s+/) : [];
+        let rounds = DEFAULT_ROUNDS;
+        if (/^\d+$/.test(words[0])) rounds = Number(words.shift());
+        if (rounds < 1 || rounds > MAX_ROUNDS) return ctx.t("games.trivia.rounds", { max: MAX_ROUNDS });
+
+        let category = null;
+        let topic = null;
+        if (words[0] && words[0].toLowerCase() === "ai") {
+            topic = words.slice(1).join(" ") || "general knowledge";
+        } else if (words[0]) {
+            category = words[0].toLowerCase();
+            if (!CATEGORIES.includes(category)) {
+                return ctx.t("games.trivia.unknown_category", { categories: CATEGORIES.join(", ") });
+            }
+        }
+
+        let start;
+        if (ctx.inlineQuery) {
+            start = previewButton("trivia", ctx.t("games.start"), "start", [rounds, category || "", topic || ""]);
+        } else {
+            const game = create(ctx, "trivia", triviaFields([rounds, category, topic]));
+            if (!game) return ctx.t("games.busy");
+            start = button(game, ctx.t("games.start"), "start");
+        }
+        const subject = topic ? ctx.t("games.trivia.ai_subject", { topic }) : category || ctx.t("games.trivia.any");
+        return {
+            text: ctx.t("games.trivia.lobby", { count: rounds, subject, seconds: QUESTION_TIME / 1000 }),
+            ...Markup.inlineKeyboard([[start]])
+        };
+    }
+
+    // [rounds, category, topic], as parsed above or read back from a preview.
+    function triviaFields([rounds, category, ...topic]) {
+        rounds = Math.min(Math.max(Number(rounds) || DEFAULT_ROUNDS, 1), MAX_ROUNDS);
+        return {
+            rounds,
+            category: CATEGORIES.includes(category) ? category : null,
+            topic: topic.join(":") || null,
+            questions: null,
+            index: -1
+        };
+    }
+
+    function bankQuestions(category, count) {
+        const pool = category ? bank.trivia[category] : CATEGORIES.flatMap(c => bank.trivia[c]);
+        return shuffle([...pool]).slice(0, count);
+    }
+
+    // Asks the AI layer for questions in the game's language. Returns null
+    // when AI is off in the chat or the reply isn't usable.
+    async function aiQuestions(game, userId) {
+        if (game.chatId) {
+            const { ai: aiSettings } = await settings.get(game.chatId);
+            if (!aiSettings.enabled) return null;
+        }
+        try {
+            const { text } = await ai.generate({
+                chatId: game.chatId,
+                userId,
+                system: "You write fair, unambiguous multiple-choice trivia questions with short answers.",
+                prompt: `Write ${game.rounds} trivia questions about ${game.topic} in ` +
+                    `${translate(game.lang, "language.english")}. Reply with only a JSON array like ` +
+                    `[{"question": "...", "answer": "...", "wrong": ["...", "...", "..."]}].`
+            });
+            const questions = JSON.parse(text.slice(text.indexOf("["), text.lastIndexOf("]") + 1));
+            const usable = questions.filter(validQuestion).slice(0, game.rounds);
+            return usable.length > 0 ? usable : null;
+        } catch (err) {
+            console.error("AI trivia error:", err.message || err);
+            return null;
+        }
+    }
+
+    async function startTrivia(ctx, game) {
+        if (game.questions) return ctx.answerCbQuery(ctx.t("games.started"));
+        game.questions = [];
+        game.target = targetOf(ctx);
+        await ctx.answerCbQuery(ctx.t("games.trivia.starting"));
+
+        let note = "";
+        if (game.topic) {
+            const generated = await aiQuestions(game, ctx.from.id);
+            if (generated) game.questions = generated;
+            else note = `${game.t("games.trivia.ai_failed")}\n\n`;
+        }
+        if (game.questions.length === 0) game.questions = bankQuestions(game.category, game.rounds);
+        await ask(game, note);
+    }
+
+    async function ask(game, prefix = "") {
+        game.index++;
+        game.guessed = new Set();
+        game.answered = false;
+        const question = game.questions[game.index];
+        game.options = shuffle([question.answer, ...question.wrong]);
+
+        const text = prefix + game.t("games.trivia.question", {
+            number: game.index + 1,
+            total: game.questions.length,
+            seconds: QUESTION_TIME / 1000,
+            question: question.question
+        });
+        const buttons = game.options.map((option, i) => button(game, option, `a:${game.index}:${i}`));
+        arm(game, QUESTION_TIME, async () => {
+            if (game.answered) return;
+            game.answered = true;
+            await reveal(game, null);
+        });
+        await render(game, text, rows(buttons, 2));
+    }
+
+    async function reveal(game, winner) {
+        const { answer } = game.questions[game.index];
+        const line = winner
+            ? game.t("games.trivia.correct", { name: winner.name, answer })
+            : game.t("games.trivia.timeout", { answer });
+        if (game.index + 1 < game.questions.length) return ask(game, `${line}\n\n`);
+
+        const winners = leaders(game);
+        const standings = game.players.size > 0 ? standingsText(game) : game.t("games.nobody");
+        await finish(game, winners.map(p => p.id));
+        await render(game, `${line}\n\n${game.t("games.trivia.over")}\n${standings}`);
+    }
+
+    async function answerTrivia(ctx, game, index, choice) {
+        if (!game.questions || game.questions.length === 0 || Number(index) !== game.index || game.answered) {
+            return ctx.answerCbQuery(ctx.t("games.too_late"));
+        }
+        if (game.guessed.has(ctx.from.id)) return ctx.answerCbQuery(ctx.t("games.trivia.one_guess"));
+        game.guessed.add(ctx.from.id);
+
+        if (game.options[Number(choice)] !== game.questions[game.index].answer) {
+            score(game, ctx.from, 0);
+            return ctx.answerCbQuery(ctx.t("games.trivia.wrong"));
+        }
+        // Claimed before the first await: presses are handled concurrently,
+        // and only the first correct one may score and move on.
+        game.answered = true;
+        const player = score(game, ctx.from, 1);
+        clearTimeout(game.timer);
+        await ctx.answerCbQuery(ctx.t("games.trivia.right"));
+        await reveal(game, player);
+    }
+
+    function hangman(ctx) {
+        if (ctx.inlineQuery) {
+            const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").map(l => previewButton("hangman", l, "g", [l]));
+            return {
+                text: `${ctx.t("games.hangman.title")}\n\n${"❤️".repeat(LIVES)}\n${ctx.t("games.hangman.preview")}`,
+                ...Markup.inlineKeyboard(rows(letters, 7))
+            };
+        }
+        const game = create(ctx, "hangman", hangmanFields());
+        if (!game) return ctx.t("games.busy");
+        arm(game, IDLE_TIME, () => expire(game));
+        return { text: hangmanText(game), ...Markup.inlineKeyboard(letterKeyboard(game)) };
+    }
+
+    function hangmanFields() {
+        const word = bank.words[Math.floor(Math.random() * bank.words.length)];
+        return { word, guessed: new Set(), misses: [], last: null };
+    }
+
+    function hangmanText(game) {
+        const masked = game.word.split("").map(l => game.guessed.has(l) ? l : "_").join(" ");
+        const lives = "❤️".repeat(LIVES - game.misses.length) + "🖤".repeat(game.misses.length);
+        let text = `${game.t("games.hangman.title")}\n\n${masked}\n\n${lives}`;
+        if (game.misses.length > 0) text += `\n${game.t("games.hangman.misses", { letters: game.misses.join(", ") })}`;
+        if (game.last) text += `\n${game.last}`;
+        return text;
+    }
+
+    function letterKeyboard(game) {
+        const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("").filter(l => !game.guessed.has(l));
+        return rows(letters.map(l => button(game, l, `g:${l}`)), 7);
+    }
+
+    async function guessLetter(ctx, game, letter) {
+        if (!/^[A-Z]$/.test(letter || "")) return ctx.answerCbQuery();
+        if (game.guessed.has(letter)) return ctx.answerCbQuery(ctx.t("games.hangman.already", { letter }));
+        game.target = targetOf(ctx);
+        game.guessed.add(letter);
+
+        const hits = game.word.split("").filter(l => l === letter).length;
+        const player = score(game, ctx.from, hits > 0 ? 1 : 0);
+        if (hits === 0) game.misses.push(letter);
+        game.last = game.t(hits > 0 ? "games.hangman.hit" : "games.hangman.miss", { name: player.name, letter });
+        await ctx.answerCbQuery(ctx.t(hits > 0 ? "games.hangman.hit_alert" : "games.hangman.miss_alert", { letter, count: hits }));
+
+        if (game.word.split("").every(l => game.guessed.has(l))) {
+            score(game, ctx.from, SOLVE_BONUS);
+            const winners = leaders(game);
+            await finish(game, winners.map(p => p.id));
+            return render(game, `${hangmanText(game)}\n\n${game.t("games.hangman.solved", { name: player.name, word: game.word })}\n${standingsText(game)}`);
+        }
+        if (game.misses.length >= LIVES) {
+            await finish(game, []);
+            return render(game, `${hangmanText(game)}\n\n${game.t("games.hangman.lost", { word: game.word })}`);
+        }
+        arm(game, IDLE_TIME, () => expire(game));
+        await render(game, hangmanText(game), letterKeyboard(game));
+    }
+
+    // `opponent` is the user being challenged, or null for anyone.
+    function duel(ctx, opponent) {
+        const text = opponent
+            ? ctx.t("games.duel.challenge", { challenger: nameOf(ctx.from), opponent: nameOf(opponent) })
+            : ctx.t("games.duel.open", { challenger: nameOf(ctx.from) });
+        const labels = [ctx.t("games.duel.accept"), ctx.t("games.duel.decline")];
+        if (ctx.inlineQuery) {
+            // The challenger's name rides along for the duel's messages.
+            const setup = [ctx.from.id, nameOf(ctx.from)];
+            return {
+                text,
+                ...Markup.inlineKeyboard([[
+                    previewButton("duel", labels[0], "accept", setup),
+                    previewButton("duel", labels[1], "decline", setup)
+                ]])
+            };
+        }
+        const game = create(ctx, "duel", duelFields(ctx.from, opponent));
+        if (!game) return ctx.t("games.busy");
+        return {
+            text,
+            ...Markup.inlineKeyboard([[button(game, labels[0], "accept"), button(game, labels[1], "decline")]])
+        };
+    }
+
+    function duelFields(challenger, opponent) {
+        return { challenger, opponent, accepted: false, round: 1, rolls: new Map() };
+    }
+
+    function duelText(game, line) {
+        const { challenger, opponent } = game;
+        const rollOf = user => game.rolls.has(user.id) ? `${DICE[game.rolls.get(user.id) - 1]} ${game.rolls.get(user.id)}` : "❔";
+        let text = game.t("games.duel.title", { challenger: nameOf(challenger), opponent: nameOf(opponent), round: game.round });
+        text += `\n${nameOf(challenger)}: ${rollOf(challenger)}\n${nameOf(opponent)}: ${rollOf(opponent)}`;
+        return line ? `${text}\n\n${line}` : text;
+    }
+
+    async function acceptDuel(ctx, game) {
+        if (game.accepted) return ctx.answerCbQuery(ctx.t("games.started"));
+        if (ctx.from.id === game.challenger.id) return ctx.answerCbQuery(ctx.t("games.duel.own"));
+        if (game.opponent && ctx.from.id !== game.opponent.id) return ctx.answerCbQuery(ctx.t("games.not_for_you"));
+
+        game.opponent = ctx.from;
+        game.accepted = true;
+        game.target = targetOf(ctx);
+        arm(game, IDLE_TIME, () => expire(game));
+        await ctx.answerCbQuery();
+        await render(game, duelText(game), [[button(game, game.t("games.duel.roll"), "roll")]]);
+    }
+
+    async function declineDuel(ctx, game) {
+        if (game.accepted) return ctx.answerCbQuery(ctx.t("games.started"));
+        const challenger = ctx.from.id === game.challenger.id;
+        if (!challenger && !(game.opponent && ctx.from.id === game.opponent.id)) {
+            return ctx.answerCbQuery(ctx.t("games.not_for_you"));
+        }
+        drop(game);
+        game.target = targetOf(ctx);
+        await ctx.answerCbQuery();
+        await render(game, challenger
+            ? game.t("games.duel.cancelled", { challenger: nameOf(game.challenger) })
+            : game.t("games.duel.declined", { opponent: nameOf(ctx.from) }));
+    }
+
+    async function rollDice(ctx, game) {
+        if (!game.accepted) return ctx.answerCbQuery();
+        if (![game.challenger.id, game.opponent.id].includes(ctx.from.id)) return ctx.answerCbQuery(ctx.t("games.not_for_you"));
+        if (game.rolls.has(ctx.from.id)) return ctx.answerCbQuery(ctx.t("games.duel.rolled_already"));
+
+        const value = 1 + Math.floor(Math.random() * 6);
+        game.rolls.set(ctx.from.id, value);
+        await ctx.answerCbQuery(ctx.t("games.duel.rolled", { die: DICE[value - 1], value }));
+        if (game.rolls.size < 2) {
+            arm(game, IDLE_TIME, () => expire(game));
+            return render(game, duelText(game), [[button(game, game.t("games.duel.roll"), "roll")]]);
+        }
+
+        const a = game.rolls.get(game.challenger.id);
+        const b = game.rolls.get(game.opponent.id);
+        if (a === b) {
+            game.round++;
+            game.rolls.clear();
+            arm(game, IDLE_TIME, () => expire(game));
+            return render(game, duelText(game, game.t("games.duel.tie", { value: a })),
+                [[button(game, game.t("games.duel.roll"), "roll")]]);
+        }
+
+        const [winner, loser] = a > b ? [game.challenger, game.opponent] : [game.opponent, game.challenger];
+        score(game, winner, DUEL_POINTS);
+        score(game, loser, 0);
+        await finish(game, [winner.id]);
+        await render(game, duelText(game, game.t("games.duel.winner", { name: nameOf(winner), high: Math.max(a, b), low: Math.min(a, b) })));
+    }
+
+    const actions = {
+        trivia: {
+            start: (ctx, game) => startTrivia(ctx, game),
+            a: (ctx, game, [index, choice]) => answerTrivia(ctx, game, index, choice)
+        },
+        hangman: {
+            g: (ctx, game, [letter]) => guessLetter(ctx, game, letter)
+        },
+        duel: {
+            accept: (ctx, game) => acceptDuel(ctx, game),
+            decline: (ctx, game) => declineDuel(ctx, game),
+            roll: (ctx, game) => rollDice(ctx, game)
+        }
+    };
+
+    // Game fields for the first press on a preview, from the setup in its data.
+    const previews = {
+        trivia: setup => triviaFields(setup),
+        hangman: () => hangmanFields(),
+        // Only the name is known; nameOf() shows first_name as it is.
+        duel: ([id, ...name]) => duelFields({ id: Number(id), first_name: name.join(":") }, null)
+    };
+
+    async function pressPreview(ctx, type, action, setup) {
+        const run = actions[type][action];
+        if (!run) return ctx.answerCbQuery();
+        const target = targetOf(ctx);
+        const key = messageKey(target);
+        let game = games.get(started.get(key));
+        if (!game) {
+            game = create(ctx, type, previews[type](setup));
+            if (!game) return ctx.answerCbQuery(ctx.t("games.busy"));
+            game.target = target;
+            game.previewKey = key;
+            started.set(key, game.id);
+        }
+        await run(ctx, game, setup);
+    }
+
+    async function press(ctx, type, data) {
+        const [id, action, ...args] = data.split(":");
+        if (id === "new") return pressPreview(ctx, type, action, args);
+        const game = games.get(id);
+        const run = game && game.type === type && actions[type][action];
+        if (!run) return ctx.answerCbQuery(ctx.t("games.gone"));
+        await run(ctx, game, args);
+    }
+
+    // Standings for `chatId`, or across all chats when it is null.
+    async function leaderboard(chatId, period, t) {
+        const players = await db.getLeaderboard({ chatId, days: period === "week" ? 7 : null, limit: LEADERBOARD_SIZE });
+        let text = t(chatId ? "games.leaderboard.chat" : "games.leaderboard.global", { period: t(`games.leaderboard.${period}`) });
+        text += "\n\n";
+        text += players.length > 0
+            ? players.map((p, i) => t("games.leaderboard.row", {
+                rank: MEDALS[i] || `${i + 1}.`,
+                name: p.user_name || p.user_id,
+                count: p.points,
+                wins: p.wins,
+                games: p.games
+            })).join("\n")
+            : t("games.leaderboard.empty");
+        const tab = (name, label) => Markup.button.callback(name === period ? `• ${label}` : label, `leaderboard:${name}`);
+        return {
+            text,
+            ...Markup.inlineKeyboard([[tab("week", t("games.leaderboard.week")), tab("all", t("games.leaderboard.all"))]])
+        };
+    }
+
+    return { trivia, hangman, duel, press, leaderboard };
+}
+
+module.exports = { createGames };
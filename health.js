@@ -0,0 +1,70 @@
+const CHECK_TIMEOUT = 5 * 1000;
+// A quiet bot can go a long time without updates; only then is Telegram asked
+// whether updates are piling up undelivered.
+const UPDATE_STALE_AFTER = (parseInt(process.env.READY_UPDATE_STALE_SECONDS) || 15 * 60) * 1000;
+// AI counts as down while its last failure (every provider failed) is newer
+// than its last success and happened within this window.
+const AI_FAILURE_WINDOW = 5 * 60 * 1000;
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// /healthz only says the process is up. /readyz checks Postgres, that
+// Telegram updates are still arriving and that an AI provider works, and
+// answers 503 if any of them is failing.
+function createHealthChecks({ db, telegram, ai, metrics }) {
+    async function database() {
+        await withTimeout(db.ping());
+        return { ok: true };
+    }
+
+    async function updates() {
+        const last = metrics.lastUpdateAt();
+        const age = last ? Math.round((Date.now() - last) / 1000) : null;
+        if (last && Date.now() - last < UPDATE_STALE_AFTER) return { ok: true, lastUpdateAgeSeconds: age };
+
+        const info = await withTimeout(telegram.getWebhookInfo());
+        return {
+            ok: info.pending_update_count === 0,
+            lastUpdateAgeSeconds: age,
+            pendingUpdates: info.pending_update_count,
+            lastError: info.last_error_message || undefined
+        };
+    }
+
+    async function aiProvider() {
+        const { providers, lastSuccess, lastFailure, lastError } = ai.health();
+        const failing = lastFailure
+            && (!lastSuccess || lastFailure > lastSuccess)
+            && Date.now() - lastFailure.getTime() < AI_FAILURE_WINDOW;
+        return { ok: !failing, providers, lastSuccess, lastError: failing ? lastError : undefined };
+    }
+
+    async function run(check) {
+        try {
+            return await check();
+        } catch (err) {
+            return { ok: false, error: err.message || String(err) };
+        }
+    }
+
+    function liveness(req, res) {
+        res.json({ status: "ok" });
+    }
+
+    async function readiness(req, res) {
+        const [postgres, telegramUpdates, aiStatus] = await Promise.all([run(database), run(updates), run(aiProvider)]);
+        const checks = { postgres, telegram: telegramUpdates, ai: aiStatus };
+        const ok = Object.values(checks).every(c => c.ok);
+        res.status(ok ? 200 : 503).json({ status: ok ? "ok" : "unavailable", checks });
+    }
+
+    return { liveness, readiness };
+}
+
+module.exports = { createHealthChecks };
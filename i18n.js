@@ -0,0 +1,122 @@
+const catalogs = {
+    en: require("./data/locales/en.json"),
+    es: require("./data/locales/es.json")
+};
+
+const DEFAULT_LANGUAGE = "en";
+const LANGUAGES = Object.keys(catalogs);
+const USER_CACHE_LIMIT = 10000;
+
+function lookup(catalog, key) {
+    return key.split(".").reduce((node, part) => node && typeof node === "object" ? node[part] : undefined, catalog);
+}
+
+// "es-419" → "es"; also accepts a catalog's own name, e.g. "Español".
+function normalizeLanguage(input) {
+    if (!input) return null;
+    const value = input.trim().toLowerCase();
+    const code = value.split(/[-_]/)[0];
+    if (catalogs[code]) return code;
+    return LANGUAGES.find(lang => [catalogs[lang].language.name, catalogs[lang].language.english]
+        .some(name => name.toLowerCase() === value)) || null;
+}
+
+// Looks `key` up in `lang`, then English, then uses `fallback` or the key.
+// {placeholders} are filled from `params`; a message that is an object of
+// plural forms ({ one, other, ... }) is picked by `params.count`.
+function translate(lang, key, params = {}, fallback) {
+    let message = lookup(catalogs[lang], key);
+    if (message === undefined) message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+    if (message === undefined) message = fallback !== undefined ? fallback : key;
+    if (message && typeof message === "object") {
+        const form = new Intl.PluralRules(lang).select(params.count);
+        message = message[form] !== undefined ? message[form] : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+function translator(lang) {
+    return (key, params, fallback) => translate(lang, key, params, fallback);
+}
+
+// An error meant for the user. The message is the English text, for logs;
+// replies translate `key` and `params` with ctx.t.
+class UserError extends Error {
+    constructor(key, params = {}) {
+        super(translate(DEFAULT_LANGUAGE, key, params));
+        this.key = key;
+        this.params = params;
+    }
+}
+
+// Picks the language of each update: the user's /lang choice, then the
+// chat's setting, then the language of the user's Telegram app.
+function createI18n({ db, settings }) {
+    const userLanguages = new Map();
+
+    async function userLanguage(userId) {
+        if (!userLanguages.has(userId)) {
+            if (userLanguages.size >= USER_CACHE_LIMIT) userLanguages.delete(userLanguages.keys().next().value);
+            userLanguages.set(userId, await db.getUserLanguage(userId));
+        }
+        return userLanguages.get(userId);
+    }
+
+    async function setUserLanguage(userId, lang) {
+        await db.setUserLanguage(userId, lang);
+        userLanguages.set(userId, lang);
+    }
+
+    // For messages to a chat outside its updates, e.g. scheduled jobs. Same
+    // order as resolve(), with the user's Telegram language as last seen.
+    // `userId` defaults to the chat itself, i.e. the user of a private chat.
+    async function languageOf(chatId, userId = chatId) {
+        const user = userId > 0 ? await userLanguage(userId) : null;
+        if (user) return user;
+        if (chatId < 0) {
+            const { locale } = await settings.get(chatId);
+            if (locale.language) return locale.language;
+        }
+        const app = userId > 0 && normalizeLanguage(await db.getLanguageCode(userId));
+        return app || DEFAULT_LANGUAGE;
+    }
+
+    // Returns the language and where it came from (user, chat, telegram or default).
+    async function resolve(ctx) {
+        const user = ctx.from ? await userLanguage(ctx.from.id) : null;
+        if (user) return { lang: user, source: "user" };
+        if (ctx.chat && ctx.chat.type !== "private") {
+            const { locale } = await settings.get(ctx.chat.id);
+            if (locale.language) return { lang: locale.language, source: "chat" };
+        }
+        const app = ctx.from && normalizeLanguage(ctx.from.language_code);
+        if (app) return { lang: app, source: "telegram" };
+        return { lang: DEFAULT_LANGUAGE, source: "default" };
+    }
+
+    // Sets ctx.lang and ctx.t for the handlers further down.
+    function middleware() {
+        return async (ctx, next) => {
+            ctx.lang = DEFAULT_LANGUAGE;
+            try {
+                ctx.lang = (await resolve(ctx)).lang;
+            } catch (err) {
+                console.error("Language lookup error:", err);
+            }
+            ctx.t = translator(ctx.lang);
+            return next();
+        };
+    }
+
+    return { resolve, languageOf, setUserLanguage, middleware };
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    normalizeLanguage,
+    translate,
+    translator,
+    UserError,
+    createI18n
+};
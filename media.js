@@ -0,0 +1,75 @@
+const { UserError } = require("./i18n");
+
+// Telegram only lets bots download files up to 20 MB.
+const TELEGRAM_LIMIT = 20 * 1024 * 1024;
+// Files handed to the AI; providers cap the size of a whole request.
+const AI_LIMIT_MB = parseInt(process.env.AI_MEDIA_MAX_MB) || 10;
+// Text documents are sent as text, cut to roughly 12k tokens.
+const TEXT_CHARS = 50000;
+
+const TEXT_TYPES = ["application/json", "application/xml", "application/x-yaml", "application/x-subrip"];
+
+class MediaError extends UserError {}
+
+// Downloads a Telegram file ({ file_id, file_size }) into a Buffer. Files
+// over `maxBytes` are refused before and after downloading, since
+// file_size is optional.
+async function download(telegram, file, { maxBytes = TELEGRAM_LIMIT, mimeType }) {
+    const limit = Math.min(maxBytes, TELEGRAM_LIMIT);
+    const tooLarge = () => new MediaError("media.too_large", { mb: Math.round(limit / 1024 / 1024) });
+    if (file.file_size && file.file_size > limit) throw tooLarge();
+
+    const url = await telegram.getFileLink(file.file_id);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`File download failed: ${response.status}`);
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length > limit) throw tooLarge();
+    return { mimeType, data };
+}
+
+// The largest size of a photo message that fits in `maxBytes`.
+function pickPhoto(photo, maxBytes) {
+    const fitting = (photo || []).filter(size => !size.file_size || size.file_size <= maxBytes);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : null;
+}
+
+// The file in a message that the AI can be given: a photo, voice note,
+// audio file, or an image, PDF or text document. Other media come back as
+// { kind, unsupported: true }; messages without media as null.
+function attachmentOf(message) {
+    if (!message) return null;
+    const limit = AI_LIMIT_MB * 1024 * 1024;
+
+    if (message.photo) {
+        const file = pickPhoto(message.photo, limit) || message.photo[message.photo.length - 1];
+        return { kind: "photo", file, mimeType: "image/jpeg" };
+    }
+    if (message.voice) return { kind: "voice", file: message.voice, mimeType: message.voice.mime_type || "audio/ogg" };
+    if (message.audio) return { kind: "audio", file: message.audio, mimeType: message.audio.mime_type || "audio/mpeg" };
+    if (message.document) {
+        const mimeType = message.document.mime_type || "";
+        const name = message.document.file_name || "document";
+        if (mimeType.startsWith("image/")) return { kind: "photo", file: message.document, mimeType };
+        if (mimeType === "application/pdf") return { kind: "document", name, file: message.document, mimeType };
+        if (mimeType.startsWith("text/") || TEXT_TYPES.includes(mimeType)) {
+            return { kind: "document", name, file: message.document, mimeType, text: true };
+        }
+        return { kind: "document", unsupported: true };
+    }
+    const kind = ["video", "video_note", "animation", "sticker"].find(k => message[k]);
+    return kind ? { kind, unsupported: true } : null;
+}
+
+// Downloads an attachment for an AI request: { text } for text documents,
+// { files } for everything else.
+async function read(telegram, attachment) {
+    if (attachment.unsupported) throw new MediaError(`media.unsupported.${attachment.kind}`);
+    const file = await download(telegram, attachment.file, {
+        maxBytes: AI_LIMIT_MB * 1024 * 1024,
+        mimeType: attachment.mimeType
+    });
+    if (attachment.text) return { text: file.data.toString("utf8").slice(0, TEXT_CHARS) };
+    return { files: [file] };
+}
+
+module.exports = { MediaError, download, pickPhoto, attachmentOf, read };
@@ -0,0 +1,640 @@
+// An in-memory stand-in for db.js with the same functions, for the offline
+// simulator. Nothing survives the process; rows are plain objects shaped
+// like the Postgres ones.
+function createMemoryDatabase() {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = () => new Date();
+    const ago = ms => new Date(Date.now() - ms);
+    const key = (...parts) => parts.join(":");
+
+    const activeUsers = new Map();
+    const userChats = new Map();
+    const spamEvents = [];
+    const bannedUsers = new Map();
+    const adminRoles = new Map();
+    const botSettings = new Map();
+    const jobs = [];
+    const chatSettings = new Map();
+    const warnings = [];
+    const captchas = new Map();
+    const broadcasts = [];
+    const recipients = [];
+    const threads = [];
+    const threadMessages = [];
+    const personas = new Map();
+    const chatProviders = new Map();
+    const contentItems = [];
+    const contentSeen = new Set();
+    const shortLinks = new Map();
+    const shortLinkClicks = [];
+    const events = [];
+    const timezones = new Map();
+    const languages = new Map();
+    const reminders = [];
+    const gameScores = [];
+    const automodCases = [];
+    const ids = {};
+    const nextId = table => (ids[table] = (ids[table] || 0) + 1);
+
+    function countBy(rows, field) {
+        const counts = new Map();
+        rows.forEach(row => counts.set(row[field], (counts.get(row[field]) || 0) + 1));
+        return Array.from(counts, ([value, count]) => ({ [field]: value, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    const copy = row => row ? { ...row } : null;
+
+    return {
+        pool: { end: async () => {} },
+
+        async initDatabase() {},
+        async ping() {},
+
+        async trackUser(userId, { username, first_name, language_code } = {}) {
+            const user = activeUsers.get(userId) || { user_id: userId, first_seen: now() };
+            activeUsers.set(userId, {
+                ...user,
+                last_seen: now(),
+                is_active: true,
+                username: username || user.username || null,
+                first_name: first_name || user.first_name || null,
+                language_code: language_code || user.language_code || null
+            });
+        },
+
+        async trackChatUser(userId, chatId) {
+            const row = userChats.get(key(userId, chatId)) || { user_id: userId, chat_id: chatId, joined_at: null };
+            userChats.set(key(userId, chatId), { ...row, last_seen: now() });
+        },
+
+        async trackChatJoin(userId, chatId) {
+            const row = userChats.get(key(userId, chatId)) || { user_id: userId, chat_id: chatId, last_seen: now() };
+            userChats.set(key(userId, chatId), { ...row, joined_at: now() });
+        },
+
+        async getJoinedAt(userId, chatId) {
+            const row = userChats.get(key(userId, chatId));
+            return row ? row.joined_at : null;
+        },
+
+        async recordSpamEvent({ chatId, userId, reason, action }) {
+            spamEvents.push({ id: nextId("spam"), chat_id: chatId, user_id: userId, reason, action, created_at: now() });
+        },
+
+        async getSpamStats(chatId) {
+            const recent = spamEvents.filter(e => e.created_at > ago(DAY) && (!chatId || e.chat_id === chatId));
+            return countBy(recent, "reason");
+        },
+
+        async markUserInactive(userId) {
+            const user = activeUsers.get(userId);
+            if (user) user.is_active = false;
+        },
+
+        async getActiveUserCount() {
+            return activeUsers.size;
+        },
+
+        async getAllActiveUsers() {
+            return Array.from(activeUsers.keys());
+        },
+
+        async listUsers({ search, limit, offset }) {
+            const term = search ? search.replace(/^@/, "").toLowerCase() : null;
+            const matches = Array.from(activeUsers.values())
+                .filter(u => !term || [String(u.user_id), u.username, u.first_name]
+                    .some(value => value && value.toLowerCase().includes(term)))
+                .sort((a, b) => b.last_seen - a.last_seen);
+            const users = matches.slice(offset || 0, (offset || 0) + limit)
+                .map(u => ({ ...u, banned: bannedUsers.has(u.user_id), total: matches.length }));
+            return { users, total: matches.length };
+        },
+
+        async banUser(userId) {
+            if (!bannedUsers.has(userId)) bannedUsers.set(userId, { user_id: userId, banned_at: now() });
+        },
+
+        async unbanUser(userId) {
+            bannedUsers.delete(userId);
+        },
+
+        async isUserBanned(userId) {
+            return bannedUsers.has(userId);
+        },
+
+        async getAllBannedUsers() {
+            return Array.from(bannedUsers.keys());
+        },
+
+        async createBroadcast({ createdBy, reportChatId, content, audience }) {
+            const campaign = {
+                id: nextId("broadcasts"),
+                created_by: createdBy,
+                report_chat_id: reportChatId,
+                progress_message_id: null,
+                content,
+                audience,
+                status: "pending",
+                total: 0,
+                created_at: now(),
+                started_at: null,
+                finished_at: null
+            };
+            const audienceUsers = Array.from(activeUsers.values()).filter(u => u.is_active
+                && (!audience.days || u.last_seen >= ago(audience.days * DAY))
+                && (!audience.chatId || userChats.has(key(u.user_id, audience.chatId))));
+            audienceUsers.forEach(u => recipients.push({
+                broadcast_id: campaign.id, user_id: u.user_id, status: "pending", error: null, sent_at: null
+            }));
+            campaign.total = audienceUsers.length;
+            broadcasts.push(campaign);
+            return copy(campaign);
+        },
+
+        async getBroadcast(id) {
+            const campaign = id ? broadcasts.find(b => b.id === id) : broadcasts[broadcasts.length - 1];
+            return copy(campaign);
+        },
+
+        async listBroadcasts(limit) {
+            return broadcasts.slice(-limit).reverse().map(copy);
+        },
+
+        async getUnfinishedBroadcasts() {
+            return broadcasts.filter(b => ["pending", "running"].includes(b.status)).map(copy);
+        },
+
+        async setBroadcastStatus(id, status) {
+            const campaign = broadcasts.find(b => b.id === id);
+            if (!campaign) return;
+            campaign.status = status;
+            if (status === "running") campaign.started_at = campaign.started_at || now();
+            if (["done", "cancelled"].includes(status)) campaign.finished_at = now();
+        },
+
+        async setBroadcastProgressMessage(id, messageId) {
+            const campaign = broadcasts.find(b => b.id === id);
+            if (campaign) campaign.progress_message_id = messageId;
+        },
+
+        async getPendingRecipients(broadcastId, limit) {
+            return recipients
+                .filter(r => r.broadcast_id === broadcastId && r.status === "pending")
+                .map(r => r.user_id)
+                .sort((a, b) => a - b)
+                .slice(0, limit);
+        },
+
+        async setRecipientStatus(broadcastId, userId, status, error) {
+            const recipient = recipients.find(r => r.broadcast_id === broadcastId && r.user_id === userId);
+            if (recipient) Object.assign(recipient, { status, error: error || null, sent_at: now() });
+        },
+
+        async getBroadcastCounts(broadcastId) {
+            const counts = { pending: 0, sent: 0, failed: 0, blocked: 0 };
+            recipients.filter(r => r.broadcast_id === broadcastId).forEach(r => counts[r.status] = (counts[r.status] || 0) + 1);
+            return counts;
+        },
+
+        async getAdminRoles() {
+            return Array.from(adminRoles.values()).map(({ user_id, chat_id, role }) => ({ user_id, chat_id, role }));
+        },
+
+        async setAdminRole(userId, chatId, role, grantedBy) {
+            adminRoles.set(key(userId, chatId), { user_id: userId, chat_id: chatId, role, granted_by: grantedBy, granted_at: now() });
+        },
+
+        async deleteAdminRole(userId, chatId) {
+            adminRoles.delete(key(userId, chatId));
+        },
+
+        async getSetting(name) {
+            return botSettings.has(name) ? JSON.parse(botSettings.get(name)) : null;
+        },
+
+        async setSetting(name, value) {
+            botSettings.set(name, JSON.stringify(value));
+        },
+
+        async getChatSettings(chatId) {
+            return chatSettings.has(chatId) ? JSON.parse(chatSettings.get(chatId)) : null;
+        },
+
+        async saveChatSettings(chatId, settings) {
+            chatSettings.set(chatId, JSON.stringify(settings));
+        },
+
+        async addWarning({ chatId, userId, reason, warnedBy, expiresAt }) {
+            warnings.push({
+                id: nextId("warnings"), chat_id: chatId, user_id: userId, reason, warned_by: warnedBy,
+                created_at: now(), expires_at: expiresAt || null
+            });
+        },
+
+        async getActiveWarnings(chatId, userId) {
+            return warnings
+                .filter(w => w.chat_id === chatId && w.user_id === userId && (!w.expires_at || new Date(w.expires_at) > now()))
+                .map(copy);
+        },
+
+        async removeLatestWarning(chatId, userId) {
+            const active = await this.getActiveWarnings(chatId, userId);
+            if (active.length === 0) return 0;
+            warnings.splice(warnings.findIndex(w => w.id === active[active.length - 1].id), 1);
+            return 1;
+        },
+
+        async clearWarnings(chatId, userId) {
+            const before = warnings.length;
+            for (let i = warnings.length - 1; i >= 0; i--) {
+                if (warnings[i].chat_id === chatId && warnings[i].user_id === userId) warnings.splice(i, 1);
+            }
+            return before - warnings.length;
+        },
+
+        async savePendingCaptcha({ chatId, userId, answer, messageId, expiresAt }) {
+            captchas.set(key(chatId, userId), {
+                chat_id: chatId, user_id: userId, answer, message_id: messageId, expires_at: expiresAt, attempts: 0
+            });
+        },
+
+        async takeCaptchaAttempt(chatId, userId, nextAnswer) {
+            const captcha = captchas.get(key(chatId, userId));
+            if (!captcha) return null;
+            const previous = captcha.answer;
+            captcha.answer = nextAnswer;
+            captcha.attempts++;
+            return { ...copy(captcha), previous_answer: previous };
+        },
+
+        async getPendingCaptcha(chatId, userId) {
+            return copy(captchas.get(key(chatId, userId)));
+        },
+
+        async deletePendingCaptcha(chatId, userId) {
+            return captchas.delete(key(chatId, userId)) ? 1 : 0;
+        },
+
+        async createJob({ action, chatId, userId, payload, dueAt }) {
+            const job = {
+                id: nextId("jobs"), action, chat_id: chatId, user_id: userId, payload: payload || {},
+                due_at: new Date(dueAt), status: "pending", error: null, created_at: now(), finished_at: null
+            };
+            jobs.push(job);
+            return copy(job);
+        },
+
+        async claimDueJobs(limit = 20) {
+            const due = jobs
+                .filter(j => j.status === "pending" && j.due_at <= now())
+                .sort((a, b) => a.due_at - b.due_at)
+                .slice(0, limit);
+            due.forEach(j => j.status = "running");
+            return due.map(copy);
+        },
+
+        async finishJob(id, error) {
+            const job = jobs.find(j => j.id === id);
+            if (job) Object.assign(job, { status: error ? "failed" : "done", error: error || null, finished_at: now() });
+        },
+
+        async requeueInterruptedJobs() {
+            const running = jobs.filter(j => j.status === "running");
+            running.forEach(j => j.status = "pending");
+            return running.length;
+        },
+
+        async cancelJobs({ action, chatId, userId }) {
+            const matching = jobs.filter(j => j.status === "pending" && j.action === action && j.chat_id === chatId && j.user_id === userId);
+            matching.forEach(j => Object.assign(j, { status: "cancelled", finished_at: now() }));
+            return matching.length;
+        },
+
+        async getPendingJobs({ action, chatId }) {
+            return jobs
+                .filter(j => j.status === "pending" && j.action === action && j.chat_id === chatId)
+                .sort((a, b) => a.due_at - b.due_at)
+                .map(copy);
+        },
+
+        async createThread(chatId) {
+            const thread = { id: nextId("threads"), chat_id: chatId, created_at: now() };
+            threads.push(thread);
+            return thread.id;
+        },
+
+        async getLatestThread(chatId) {
+            const latest = threads.filter(t => t.chat_id === chatId).pop();
+            return latest ? latest.id : null;
+        },
+
+        async findThreadByMessage(chatId, messageId) {
+            const message = threadMessages.find(m => m.message_id === messageId
+                && threads.some(t => t.id === m.thread_id && t.chat_id === chatId));
+            return message ? message.thread_id : null;
+        },
+
+        async addThreadMessage(threadId, role, content, messageId) {
+            threadMessages.push({ id: nextId("messages"), thread_id: threadId, role, content, message_id: messageId, created_at: now() });
+        },
+
+        async getThreadMessages(threadId, limit) {
+            return threadMessages
+                .filter(m => m.thread_id === threadId)
+                .reverse()
+                .slice(0, limit)
+                .map(({ role, content }) => ({ role, content }));
+        },
+
+        async deleteThreads(chatId) {
+            const removed = new Set(threads.filter(t => t.chat_id === chatId).map(t => t.id));
+            for (let i = threads.length - 1; i >= 0; i--) if (removed.has(threads[i].id)) threads.splice(i, 1);
+            for (let i = threadMessages.length - 1; i >= 0; i--) if (removed.has(threadMessages[i].thread_id)) threadMessages.splice(i, 1);
+        },
+
+        async getPersona(chatId) {
+            return personas.get(chatId) || null;
+        },
+
+        async setPersona(chatId, persona) {
+            if (persona) personas.set(chatId, persona);
+            else personas.delete(chatId);
+        },
+
+        async getChatProvider(chatId) {
+            return chatProviders.get(chatId) || null;
+        },
+
+        async setChatProvider(chatId, provider) {
+            if (provider) chatProviders.set(chatId, provider);
+            else chatProviders.delete(chatId);
+        },
+
+        async seedContent(items) {
+            let added = 0;
+            for (const { category, text } of items) {
+                if (contentItems.some(i => i.category === category && i.text === text)) continue;
+                contentItems.push({
+                    id: nextId("content"), category, text, status: "approved",
+                    submitted_by: null, reviewed_by: null, created_at: now()
+                });
+                added++;
+            }
+            return added;
+        },
+
+        async addContent({ category, text, status, submittedBy, reviewedBy }) {
+            const existing = contentItems.find(i => i.category === category && i.text === text);
+            const fields = { status, submitted_by: submittedBy || null, reviewed_by: reviewedBy || null };
+            if (existing) {
+                if (!["removed", "rejected"].includes(existing.status)) return null;
+                return copy(Object.assign(existing, fields));
+            }
+            const item = { id: nextId("content"), category, text, ...fields, created_at: now() };
+            contentItems.push(item);
+            return copy(item);
+        },
+
+        async getContent(id) {
+            return copy(contentItems.find(i => i.id === id));
+        },
+
+        async setContentStatus(id, status, reviewedBy) {
+            const item = contentItems.find(i => i.id === id);
+            return item ? copy(Object.assign(item, { status, reviewed_by: reviewedBy || null })) : null;
+        },
+
+        async listContent({ category, status, limit, offset }) {
+            return contentItems
+                .filter(i => i.status === status && (!category || i.category === category))
+                .slice(offset || 0, (offset || 0) + limit)
+                .map(copy);
+        },
+
+        async countContent({ category, status }) {
+            return countBy(contentItems.filter(i => i.status === status && (!category || i.category === category)), "category");
+        },
+
+        async pickContent(chatId, category) {
+            const pool = () => contentItems.filter(i => i.category === category && i.status === "approved"
+                && !contentSeen.has(key(chatId, i.id)));
+            let candidates = pool();
+            if (candidates.length === 0) {
+                contentItems.filter(i => i.category === category).forEach(i => contentSeen.delete(key(chatId, i.id)));
+                candidates = pool();
+            }
+            const item = candidates[Math.floor(Math.random() * candidates.length)];
+            if (!item) return null;
+            contentSeen.add(key(chatId, item.id));
+            return copy(item);
+        },
+
+        async createShortLink({ slug, url, ownerId, custom, expiresAt }) {
+            if (shortLinks.has(slug)) return null;
+            const link = { slug, url, owner_id: ownerId, custom, clicks: 0, created_at: now(), expires_at: expiresAt || null };
+            shortLinks.set(slug, link);
+            return copy(link);
+        },
+
+        async findShortLink(ownerId, url) {
+            return copy(Array.from(shortLinks.values())
+                .find(l => l.owner_id === ownerId && l.url === url && !l.custom && !l.expires_at));
+        },
+
+        async getShortLink(slug) {
+            return copy(shortLinks.get(slug));
+        },
+
+        async recordShortLinkClick(slug) {
+            const link = shortLinks.get(slug);
+            if (link) link.clicks++;
+            shortLinkClicks.push({ id: nextId("clicks"), slug, clicked_at: now() });
+        },
+
+        async getShortLinkClicks(slug, days) {
+            const clicks = shortLinkClicks.filter(c => c.slug === slug);
+            const perDay = new Map();
+            clicks.filter(c => c.clicked_at > ago(days * DAY)).forEach(c => {
+                const day = c.clicked_at.toISOString().slice(0, 10);
+                perDay.set(day, (perDay.get(day) || 0) + 1);
+            });
+            const daily = Array.from(perDay, ([day, count]) => ({ day: new Date(day), clicks: count }));
+            return { daily, lastClick: clicks.length > 0 ? clicks[clicks.length - 1].clicked_at : null };
+        },
+
+        async recordEvent({ type, name, userId, chatId, latencyMs, success }) {
+            events.push({
+                id: nextId("events"), type, name, user_id: userId || null, chat_id: chatId || null,
+                latency_ms: latencyMs, success, created_at: now()
+            });
+        },
+
+        async pruneEvents(days) {
+            const before = events.length;
+            for (let i = events.length - 1; i >= 0; i--) if (events[i].created_at < ago(days * DAY)) events.splice(i, 1);
+            return before - events.length;
+        },
+
+        async getUserActivity() {
+            const users = Array.from(activeUsers.values());
+            const seenWithin = days => users.filter(u => u.last_seen > ago(days * DAY)).length;
+            return {
+                total: users.length,
+                dau: seenWithin(1),
+                wau: seenWithin(7),
+                mau: seenWithin(30),
+                new_users: users.filter(u => u.first_seen > ago(7 * DAY)).length,
+                returning_users: users.filter(u => u.first_seen <= ago(7 * DAY) && u.last_seen > ago(7 * DAY)).length
+            };
+        },
+
+        async getRecentUsers(hours, limit) {
+            const recent = Array.from(activeUsers.values())
+                .filter(u => u.last_seen > ago(hours * 60 * 60 * 1000))
+                .sort((a, b) => b.last_seen - a.last_seen);
+            return { users: recent.slice(0, limit).map(copy), total: recent.length };
+        },
+
+        async getTopCommands(days, limit) {
+            const recent = events.filter(e => ["command", "inline", "callback"].includes(e.type) && e.created_at > ago(days * DAY));
+            return countBy(recent, "name").slice(0, limit);
+        },
+
+        async getTopChats(days, limit) {
+            const recent = events.filter(e => e.chat_id && e.chat_id !== e.user_id && e.created_at > ago(days * DAY));
+            return countBy(recent, "chat_id").slice(0, limit);
+        },
+
+        async getAIEventStats(days) {
+            const calls = events.filter(e => e.type === "ai" && e.created_at > ago(days * DAY));
+            return {
+                total: calls.length,
+                failed: calls.filter(e => !e.success).length,
+                avg_latency: calls.length > 0 ? Math.round(calls.reduce((sum, e) => sum + e.latency_ms, 0) / calls.length) : null
+            };
+        },
+
+        async getDailyEvents(days) {
+            const result = [];
+            for (let i = days - 1; i >= 0; i--) {
+                const day = new Date(Date.now() - i * DAY).toISOString().slice(0, 10);
+                const onDay = events.filter(e => e.created_at.toISOString().slice(0, 10) === day);
+                result.push({ day, events: onDay.length, users: new Set(onDay.map(e => e.user_id).filter(Boolean)).size });
+            }
+            return result;
+        },
+
+        async listEvents(days, limit) {
+            return events.filter(e => e.created_at > ago(days * DAY)).slice(0, limit).map(copy);
+        },
+
+        async getTimezone(userId) {
+            return timezones.get(userId) || null;
+        },
+
+        async setTimezone(userId, timezone) {
+            timezones.set(userId, timezone);
+        },
+
+        async getUserLanguage(userId) {
+            return languages.get(userId) || null;
+        },
+
+        async getLanguageCode(userId) {
+            const user = activeUsers.get(userId);
+            return user ? user.language_code : null;
+        },
+
+        async setUserLanguage(userId, language) {
+            if (language) languages.set(userId, language);
+            else languages.delete(userId);
+        },
+
+        async createReminder({ chatId, userId, userName, text, rule, timezone, nextRun }) {
+            const reminder = {
+                id: nextId("reminders"), chat_id: chatId, user_id: userId, user_name: userName, text,
+                rule: rule || null, timezone, next_run: new Date(nextRun), last_run: null, status: "active", created_at: now()
+            };
+            reminders.push(reminder);
+            return copy(reminder);
+        },
+
+        async getReminder(id) {
+            return copy(reminders.find(r => r.id === id));
+        },
+
+        async listReminders({ userId, chatId }) {
+            return reminders
+                .filter(r => r.status === "active" && r.user_id === userId && (!chatId || r.chat_id === chatId))
+                .sort((a, b) => a.next_run - b.next_run)
+                .map(copy);
+        },
+
+        async countActiveReminders(userId) {
+            return reminders.filter(r => r.status === "active" && r.user_id === userId).length;
+        },
+
+        async setReminderStatus(id, status) {
+            const reminder = reminders.find(r => r.id === id);
+            if (reminder) reminder.status = status;
+        },
+
+        async setReminderNextRun(id, nextRun) {
+            const reminder = reminders.find(r => r.id === id);
+            if (reminder) reminder.next_run = new Date(nextRun);
+        },
+
+        async claimReminderRun(id, dueAt) {
+            const reminder = reminders.find(r => r.id === id);
+            const run = new Date(dueAt).getTime();
+            if (!reminder || (reminder.last_run && reminder.last_run.getTime() === run)) return false;
+            reminder.last_run = new Date(dueAt);
+            return true;
+        },
+
+        async addGameScore({ chatId, userId, userName, game, points, won }) {
+            gameScores.push({
+                id: nextId("game_scores"), chat_id: chatId || null, user_id: userId, user_name: userName,
+                game, points, won, created_at: now()
+            });
+        },
+
+        async getLeaderboard({ chatId, days, limit }) {
+            const players = new Map();
+            gameScores
+                .filter(s => (!chatId || s.chat_id === chatId) && (!days || s.created_at > ago(days * DAY)))
+                .forEach(s => {
+                    const player = players.get(s.user_id) || { user_id: s.user_id, points: 0, wins: 0, games: 0 };
+                    player.user_name = s.user_name;
+                    player.points += s.points;
+                    player.wins += s.won ? 1 : 0;
+                    player.games++;
+                    players.set(s.user_id, player);
+                });
+            return Array.from(players.values())
+                .sort((a, b) => b.points - a.points || b.wins - a.wins)
+                .slice(0, limit);
+        },
+
+        async createAutomodCase({ chatId, userId, userName, category, action, score, text }) {
+            const row = {
+                id: nextId("automod_cases"), chat_id: chatId, user_id: userId, user_name: userName,
+                category, action, score, text, status: "open", created_at: now()
+            };
+            automodCases.push(row);
+            return copy(row);
+        },
+
+        async getAutomodCase(id) {
+            return copy(automodCases.find(c => c.id === Number(id)));
+        },
+
+        async setAutomodCaseStatus(id, status) {
+            const row = automodCases.find(c => c.id === Number(id));
+            if (row) row.status = status;
+        }
+    };
+}
+
+module.exports = { createMemoryDatabase };
@@ -0,0 +1,117 @@
+const client = require("prom-client");
+
+// Prometheus metrics served at /metrics. One instance is created in bot.js
+// and handed to the modules that record into it.
+function createMetrics() {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+    const registers = [registry];
+
+    const updates = new client.Counter({
+        name: "bot_updates_total",
+        help: "Telegram updates received, by update type",
+        labelNames: ["type"],
+        registers
+    });
+    const commands = new client.Counter({
+        name: "bot_commands_total",
+        help: "Command invocations, by command and source (command, inline or callback)",
+        labelNames: ["command", "source"],
+        registers
+    });
+    const handlerErrors = new client.Counter({
+        name: "bot_handler_errors_total",
+        help: "Errors caught while handling updates and jobs, by handler",
+        labelNames: ["handler"],
+        registers
+    });
+    const aiCalls = new client.Counter({
+        name: "bot_ai_calls_total",
+        help: "AI provider calls, by provider and outcome",
+        labelNames: ["provider", "outcome"],
+        registers
+    });
+    const aiLatency = new client.Histogram({
+        name: "bot_ai_call_duration_seconds",
+        help: "AI provider call latency",
+        labelNames: ["provider"],
+        buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+        registers
+    });
+    const broadcastMessages = new client.Counter({
+        name: "bot_broadcast_messages_total",
+        help: "Broadcast deliveries, by status (sent, failed or blocked)",
+        labelNames: ["status"],
+        registers
+    });
+    const moderationActions = new client.Counter({
+        name: "bot_moderation_actions_total",
+        help: "Moderation actions taken, by action",
+        labelNames: ["action"],
+        registers
+    });
+    const remindersSent = new client.Counter({
+        name: "bot_reminders_sent_total",
+        help: "Reminders delivered, by kind (once or recurring)",
+        labelNames: ["kind"],
+        registers
+    });
+    const gamesFinished = new client.Counter({
+        name: "bot_games_finished_total",
+        help: "Games played to the end, by game",
+        labelNames: ["game"],
+        registers
+    });
+    const automodVerdicts = new client.Counter({
+        name: "bot_automod_verdicts_total",
+        help: "Messages the AI moderator acted on, by category and action",
+        labelNames: ["category", "action"],
+        registers
+    });
+    const lastUpdate = new client.Gauge({
+        name: "bot_last_update_timestamp_seconds",
+        help: "Unix time of the last Telegram update",
+        registers
+    });
+
+    let lastUpdateAt = null;
+
+    // Counts every update; registered before any other middleware.
+    function middleware() {
+        return (ctx, next) => {
+            lastUpdateAt = Date.now();
+            lastUpdate.set(lastUpdateAt / 1000);
+            updates.inc({ type: ctx.updateType });
+            return next();
+        };
+    }
+
+    // Logs a caught error and counts it against `handler`.
+    function handlerError(handler, err) {
+        console.error(`${handler} error:`, err);
+        handlerErrors.inc({ handler });
+    }
+
+    async function handler(req, res) {
+        res.set("Content-Type", registry.contentType);
+        res.send(await registry.metrics());
+    }
+
+    return {
+        registry,
+        commands,
+        aiCalls,
+        aiLatency,
+        broadcastMessages,
+        moderationActions,
+        remindersSent,
+        gamesFinished,
+        automodVerdicts,
+        middleware,
+        handlerError,
+        handler,
+        lastUpdateAt: () => lastUpdateAt
+    };
+}
+
+module.exports = { createMetrics };
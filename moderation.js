@@ -0,0 +1,102 @@
+const { translate } = require("./i18n");
+
+const MUTED_PERMISSIONS = { can_send_messages: false };
+
+const UNMUTED_PERMISSIONS = {
+    can_send_messages: true,
+    can_send_media_messages: true,
+    can_send_polls: true,
+    can_send_other_messages: true,
+    can_add_web_page_previews: true
+};
+
+// Telegram treats restrictions shorter than 30 seconds or longer than
+// 366 days as permanent, so until_date is only sent inside that range.
+const MIN_UNTIL = 30 * 1000;
+const MAX_UNTIL = 366 * 24 * 60 * 60 * 1000;
+
+function untilDate(duration) {
+    if (duration < MIN_UNTIL || duration > MAX_UNTIL) return undefined;
+    return Math.floor((Date.now() + duration) / 1000);
+}
+
+// Chat moderation actions shared by commands and automatic punishments.
+// Timed actions are backed by the job scheduler so they survive restarts;
+// until_date lets Telegram lift the restriction even if the bot is down.
+function createModeration({ db, scheduler, i18n, metrics }) {
+    scheduler.define("unmute", async (job, telegram) => {
+        await telegram.restrictChatMember(job.chat_id, job.user_id, {
+            permissions: UNMUTED_PERMISSIONS
+        });
+        const lang = await i18n.languageOf(job.chat_id);
+        await telegram.sendMessage(job.chat_id, translate(lang, "moderation.unmute.expired", { duration: job.payload.label }))
+            .catch(err => console.error("Unmute notice error:", err));
+    });
+
+    scheduler.define("unban", async (job, telegram) => {
+        await telegram.unbanChatMember(job.chat_id, job.user_id, { only_if_banned: true });
+    });
+
+    scheduler.define("kick", async (job, telegram) => {
+        await telegram.banChatMember(job.chat_id, job.user_id);
+        await telegram.unbanChatMember(job.chat_id, job.user_id);
+    });
+
+    async function mute(telegram, chatId, userId, duration, label) {
+        await telegram.restrictChatMember(chatId, userId, {
+            permissions: MUTED_PERMISSIONS,
+            until_date: untilDate(duration)
+        });
+        metrics.moderationActions.inc({ action: "mute" });
+        await db.cancelJobs({ action: "unmute", chatId, userId });
+        await scheduler.schedule("unmute", {
+            chatId,
+            userId,
+            payload: { label },
+            dueAt: new Date(Date.now() + duration)
+        });
+    }
+
+    async function unmute(telegram, chatId, userId) {
+        await telegram.restrictChatMember(chatId, userId, { permissions: UNMUTED_PERMISSIONS });
+        metrics.moderationActions.inc({ action: "unmute" });
+        await db.cancelJobs({ action: "unmute", chatId, userId });
+    }
+
+    async function kick(telegram, chatId, userId) {
+        await telegram.banChatMember(chatId, userId);
+        await telegram.unbanChatMember(chatId, userId);
+        metrics.moderationActions.inc({ action: "kick" });
+    }
+
+    // Removes a user from the chat; with a duration they may rejoin afterwards.
+    async function ban(telegram, chatId, userId, duration) {
+        await telegram.banChatMember(chatId, userId, duration ? untilDate(duration) : undefined);
+        metrics.moderationActions.inc({ action: "ban" });
+        await db.cancelJobs({ action: "unban", chatId, userId });
+        if (duration) {
+            await scheduler.schedule("unban", {
+                chatId,
+                userId,
+                dueAt: new Date(Date.now() + duration)
+            });
+        }
+    }
+
+    function scheduleKick(chatId, userId, dueAt, payload) {
+        return scheduler.schedule("kick", { chatId, userId, payload, dueAt });
+    }
+
+    function pendingUnmutes(chatId) {
+        return db.getPendingJobs({ action: "unmute", chatId });
+    }
+
+    return { mute, unmute, kick, ban, scheduleKick, pendingUnmutes };
+}
+
+module.exports = {
+    MUTED_PERMISSIONS,
+    UNMUTED_PERMISSIONS,
+    untilDate,
+    createModeration
+};
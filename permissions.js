@@ -0,0 +1,112 @@
+// Role ranks, lowest to highest. Commands declare the rank they need with
+// `permission: "chat_moderator"` etc. (see registry.js).
+const RANKS = {
+    chat_moderator: 1,
+    moderator: 2,
+    owner: 3
+};
+
+// chat_id 0 marks a global role in admin_roles.
+const GLOBAL = 0;
+const CHAT_ADMIN_TTL = 10 * 60 * 1000;
+
+// Who may do what. ADMIN_ID is always an owner; other roles live in the
+// admin_roles table and are cached in memory. Telegram's own chat
+// administrators count as chat moderators in their chat, and the user of a
+// private chat moderates that chat.
+function createPermissions({ db, telegram, ownerId }) {
+    const roles = new Map();
+    const chatAdmins = new Map();
+
+    const key = (chatId, userId) => `${chatId}:${userId}`;
+
+    async function load() {
+        const rows = await db.getAdminRoles();
+        roles.clear();
+        rows.forEach(r => roles.set(key(Number(r.chat_id), Number(r.user_id)), r.role));
+    }
+
+    function globalRank(userId) {
+        if (userId === ownerId) return RANKS.owner;
+        return RANKS[roles.get(key(GLOBAL, userId))] || 0;
+    }
+
+    async function getChatAdmins(chatId) {
+        const cached = chatAdmins.get(chatId);
+        if (cached && cached.expires > Date.now()) return cached.ids;
+
+        const members = await telegram.getChatAdministrators(chatId);
+        const ids = new Set(members.map(m => m.user.id));
+        chatAdmins.set(chatId, { ids, expires: Date.now() + CHAT_ADMIN_TTL });
+        return ids;
+    }
+
+    async function isChatAdmin(chat, userId) {
+        if (!chat) return false;
+        if (chat.type === "private") return chat.id === userId;
+        if (roles.get(key(chat.id, userId)) === "chat_moderator") return true;
+        try {
+            return (await getChatAdmins(chat.id)).has(userId);
+        } catch (err) {
+            console.error("getChatAdministrators error:", err);
+            return false;
+        }
+    }
+
+    async function rank(chat, userId) {
+        const global = globalRank(userId);
+        if (global > 0) return global;
+        return (await isChatAdmin(chat, userId)) ? RANKS.chat_moderator : 0;
+    }
+
+    async function can(ctx, permission) {
+        if (!ctx.from) return false;
+        const needed = RANKS[permission];
+        if (globalRank(ctx.from.id) >= needed) return true;
+        if (needed > RANKS.chat_moderator) return false;
+        return isChatAdmin(ctx.chat, ctx.from.id);
+    }
+
+    async function grant(userId, role, chatId, grantedBy) {
+        const scope = role === "chat_moderator" ? chatId : GLOBAL;
+        await db.setAdminRole(userId, scope, role, grantedBy);
+        roles.set(key(scope, userId), role);
+    }
+
+    async function revoke(userId, chatId) {
+        await db.deleteAdminRole(userId, chatId);
+        roles.delete(key(chatId, userId));
+    }
+
+    function roleOf(userId, chatId = GLOBAL) {
+        if (chatId === GLOBAL && userId === ownerId) return "owner";
+        return roles.get(key(chatId, userId)) || null;
+    }
+
+    // Owners, global moderators and the chat's own moderators.
+    function list(chatId) {
+        const entries = [];
+        if (ownerId) entries.push({ userId: ownerId, role: "owner" });
+        roles.forEach((role, k) => {
+            const [scope, userId] = k.split(":").map(Number);
+            if (userId === ownerId && scope === GLOBAL) return;
+            if (scope === GLOBAL || scope === chatId) entries.push({ userId, role });
+        });
+        return entries.sort((a, b) => RANKS[b.role] - RANKS[a.role]);
+    }
+
+    return {
+        ownerId,
+        load,
+        can,
+        rank,
+        grant,
+        revoke,
+        roleOf,
+        list,
+        getChatAdmins,
+        isGlobalAdmin: userId => globalRank(userId) >= RANKS.moderator
+    };
+}
+
+module.exports = { RANKS, GLOBAL, createPermissions };
@@ -0,0 +1,237 @@
+const ms = require("ms");
+const { DEFAULT_LANGUAGE, LANGUAGES, translator } = require("./i18n");
+
+// Every feature is declared once here and rendered as a slash command,
+// an inline article, a /menu line and a Telegram command list entry.
+//
+// A command looks like:
+//   {
+//       name: "love",
+//       description: "Love percentage",
+//       title: "❤️ Love Calculator",          // inline article title (optional)
+//       args: [{ name: "name", rest: true }],  // see parseArgs
+//       permission: null,                      // or a role from permissions.js
+//       inline: true,                          // offer it in inline mode
+//       ai: false,                             // follows the chat's AI switch
+//       toggleable: true,                      // chat admins may disable it
+//       handler: (ctx, args) => "❤️ ...",     // string, { text, parse_mode, reply_markup } or nothing
+//       callback: (ctx, data) => {},           // inline button presses, data after "love:"
+//       callbackPermission: null               // defaults to `permission`
+//   }
+//
+// description and title are English; other languages take them from
+// commands.<name> in data/locales/<lang>.json.
+
+class CommandRegistry {
+    constructor({ permissions, settings, metrics, analytics }) {
+        this.permissions = permissions;
+        this.settings = settings;
+        this.metrics = metrics;
+        this.analytics = analytics;
+        this.commands = new Map();
+    }
+
+    register(definition) {
+        if (this.commands.has(definition.name)) {
+            throw new Error(`Command "${definition.name}" is already registered`);
+        }
+        const command = {
+            args: [],
+            permission: null,
+            ...definition
+        };
+        if (command.inline === undefined) command.inline = !command.permission;
+        this.commands.set(command.name, command);
+        return this;
+    }
+
+    registerAll(definitions) {
+        definitions.forEach(d => this.register(d));
+        return this;
+    }
+
+    get(name) {
+        return this.commands.get(name);
+    }
+
+    list() {
+        return Array.from(this.commands.values());
+    }
+
+    usage(command, prefix = "/") {
+        const args = command.args.map(a => a.required ? `<${a.name}>` : `[${a.name}]`);
+        return [prefix + command.name, ...args].join(" ");
+    }
+
+    // Splits the text after the command name into the declared arguments.
+    // Returns null when a required argument is missing or has the wrong type.
+    parseArgs(command, input) {
+        const args = {};
+        let rest = (input || "").trim();
+
+        for (const spec of command.args) {
+            let value;
+            if (spec.rest) {
+                value = rest;
+                rest = "";
+            } else {
+                const match = rest.match(/^(\S+)\s*/);
+                value = match ? match[1] : "";
+                rest = rest.slice(match ? match[0].length : 0);
+            }
+
+            if (!value) {
+                if (spec.required) return null;
+                continue;
+            }
+
+            if (spec.type === "int") {
+                value = parseInt(value);
+                if (isNaN(value)) return null;
+            } else if (spec.type === "duration") {
+                if (isNaN(ms(value))) return null;
+            }
+            args[spec.name] = value;
+        }
+
+        return args;
+    }
+
+    // `t` is a translator from i18n.js.
+    description(command, t) {
+        return t(`commands.${command.name}.description`, {}, command.description);
+    }
+
+    title(command, t) {
+        return command.title ? t(`commands.${command.name}.title`, {}, command.title) : this.description(command, t);
+    }
+
+    menuText(t, hidden = []) {
+        let msg = `${t("menu.title")}\n\n`;
+        this.list().filter(c => !hidden.includes(c.name)).forEach(c => {
+            const note = c.permission ? t(`menu.roles.${c.permission}`) : "";
+            msg += `/${c.name} - ${this.description(c, t)}${note}\n`;
+        });
+        if (hidden.length > 0) msg += `\n${t("menu.hidden", { count: hidden.length })}`;
+        return msg;
+    }
+
+    telegramCommands(t) {
+        return this.list()
+            .filter(c => !c.permission)
+            .map(c => ({ command: c.name, description: this.description(c, t) }));
+    }
+
+    inlineHelpText(t) {
+        const inline = this.list().filter(c => c.inline);
+        const simple = inline.filter(c => c.args.length === 0).map(c => c.name);
+        const withArgs = inline.filter(c => c.args.length > 0).map(c => this.usage(c, ""));
+        return t("inline.help", { simple: simple.join(", "), withArgs: withArgs.join(", ") });
+    }
+
+    async run(ctx, command, args) {
+        const source = ctx.inlineQuery ? "inline" : "command";
+        this.metrics.commands.inc({ command: command.name, source });
+        try {
+            return await this.analytics.track({ type: source, name: command.name, ctx }, () => command.handler(ctx, args));
+        } catch (err) {
+            this.metrics.handlerError(`/${command.name}`, err);
+            return ctx.t("errors.generic");
+        }
+    }
+
+    async handleCommand(ctx, command) {
+        if (command.permission && !(await this.permissions.can(ctx, command.permission))) {
+            return ctx.reply(ctx.t("errors.unauthorized"));
+        }
+        if (!(await this.settings.isCommandEnabled(ctx.chat.id, command))) {
+            return ctx.reply(ctx.t("errors.disabled", { command: command.name }));
+        }
+        const args = this.parseArgs(command, ctx.message.text.replace(/^\/\S+\s*/, ""));
+        if (!args) return ctx.reply(ctx.t("errors.usage", { usage: this.usage(command) }));
+        const content = normalize(await this.run(ctx, command, args));
+        if (content) await ctx.reply(content.text, content.extra);
+    }
+
+    // Inline queries don't say which chat they will be sent to, so they
+    // follow the settings of the user's private chat with the bot.
+    async handleInline(ctx) {
+        const query = ctx.inlineQuery.query.trim();
+        const [name = ""] = query.split(/\s+/, 1);
+        let command = this.get(name.toLowerCase());
+        if (command && !(await this.settings.isCommandEnabled(ctx.from.id, command))) command = null;
+        const args = command && command.inline && this.parseArgs(command, query.slice(name.length));
+        const results = [];
+
+        if (args) {
+            const content = normalize(await this.run(ctx, command, args));
+            if (content) {
+                // Buttons belong to the result, not to the message content.
+                const { reply_markup, ...extra } = content.extra;
+                results.push({
+                    type: "article",
+                    id: `${command.name}-${Date.now()}`,
+                    title: this.title(command, ctx.t),
+                    description: content.text.substring(0, 100),
+                    input_message_content: { message_text: content.text, ...extra },
+                    ...(reply_markup ? { reply_markup } : {})
+                });
+            }
+        }
+
+        if (results.length === 0) {
+            results.push({
+                type: "article",
+                id: query ? "unknown" : "help",
+                title: ctx.t(query ? "inline.unknown_title" : "inline.help_title"),
+                description: ctx.t("inline.hint"),
+                input_message_content: { message_text: this.inlineHelpText(ctx.t) }
+            });
+        }
+
+        await ctx.answerInlineQuery(results, { cache_time: 0 });
+    }
+
+    async handleCallback(ctx, command) {
+        const permission = command.callbackPermission !== undefined ? command.callbackPermission : command.permission;
+        if (permission && !(await this.permissions.can(ctx, permission))) {
+            return ctx.answerCbQuery(ctx.t("errors.unauthorized"));
+        }
+        const data = ctx.callbackQuery.data.slice(command.name.length + 1);
+        this.metrics.commands.inc({ command: command.name, source: "callback" });
+        try {
+            await this.analytics.track({ type: "callback", name: command.name, ctx }, () => command.callback(ctx, data));
+        } catch (err) {
+            this.metrics.handlerError(`${command.name} callback`, err);
+            await ctx.answerCbQuery(ctx.t("errors.generic")).catch(() => {});
+        }
+    }
+
+    attach(bot) {
+        this.list().forEach(command => {
+            bot.command(command.name, ctx => this.handleCommand(ctx, command));
+            if (command.callback) {
+                bot.action(new RegExp(`^${command.name}:`), ctx => this.handleCallback(ctx, command));
+            }
+        });
+        bot.on("inline_query", ctx => this.handleInline(ctx));
+    }
+
+    // The default list is English; users whose app is set to another
+    // catalog's language see that one.
+    async syncTelegramCommands(telegram) {
+        await telegram.setMyCommands(this.telegramCommands(translator(DEFAULT_LANGUAGE)));
+        for (const lang of LANGUAGES.filter(l => l !== DEFAULT_LANGUAGE)) {
+            await telegram.setMyCommands(this.telegramCommands(translator(lang)), { language_code: lang });
+        }
+    }
+}
+
+function normalize(content) {
+    if (!content) return null;
+    if (typeof content === "string") return { text: content, extra: {} };
+    const { text, ...extra } = content;
+    return text ? { text, extra } : null;
+}
+
+module.exports = CommandRegistry;
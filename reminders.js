@@ -0,0 +1,386 @@
+const ms = require("ms");
+const { DEFAULT_LANGUAGE, UserError, translator } = require("./i18n");
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "UTC";
+const MAX_ACTIVE = 25;
+const MIN_INTERVAL = 10 * 60 * 1000;
+const MAX_AHEAD = 5 * 365 * 24 * 60 * 60 * 1000;
+// Deliveries later than this (downtime, a long queue) say so.
+const LATE_AFTER = 60 * 1000;
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+// One-off reminders hit by a transient error (429, 5xx, network) are tried
+// again, with the delay doubling each time, before being given up on.
+const RETRIES = 5;
+const RETRY_DELAY = 60 * 1000;
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DAY_SETS = {
+    day: [0, 1, 2, 3, 4, 5, 6],
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekday: [1, 2, 3, 4, 5],
+    weekdays: [1, 2, 3, 4, 5],
+    weekend: [0, 6]
+};
+
+class ReminderError extends UserError {}
+
+function isTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Wall-clock fields of `date` in `timeZone`.
+function zonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23", weekday: "short",
+        year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric"
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS.findIndex(d => d.startsWith(parts.weekday.toLowerCase()))
+    };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`.
+function offsetAt(date, timeZone) {
+    const p = zonedParts(date, timeZone);
+    const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall clock in `timeZone` shows the given local time. Days
+// past the end of the month roll over, as with Date.UTC.
+function zonedTime({ year, month, day, hour, minute }, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const first = offsetAt(new Date(guess), timeZone);
+    const second = offsetAt(new Date(guess - first), timeZone);
+    return new Date(guess - second);
+}
+
+function addDays({ year, month, day }, days) {
+    const d = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+// "9:00", "21:30", "9am", "7:15pm", optionally after "at".
+function parseTime(words) {
+    let i = words[0] && words[0].toLowerCase() === "at" ? 1 : 0;
+    const match = words[i] && words[i].toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match || (!match[2] && !match[3])) return null;
+
+    let hour = Number(match[1]);
+    const minute = match[2] ? Number(match[2]) : 0;
+    if (match[3]) {
+        if (hour < 1 || hour > 12) return null;
+        hour = hour % 12 + (match[3] === "pm" ? 12 : 0);
+    }
+    if (hour > 23 || minute > 59) return null;
+    return { time: { hour, minute }, used: i + 1 };
+}
+
+function parseWeekday(word) {
+    word = word.toLowerCase();
+    if (word.length < 3) return -1;
+    return WEEKDAYS.findIndex(d => d.startsWith(word));
+}
+
+// Durations, e.g. "2h", "1h30m", "in 2 hours", "3 days".
+function parseDuration(words) {
+    let i = words[0] && words[0].toLowerCase() === "in" ? 1 : 0;
+    let total = 0;
+    while (i < words.length) {
+        const word = words[i];
+        if (/^\d+(\.\d+)?$/.test(word) && words[i + 1] && !isNaN(ms(`${word} ${words[i + 1]}`))) {
+            total += ms(`${word} ${words[i + 1]}`);
+            i += 2;
+            continue;
+        }
+        const pieces = word.match(/\d+(?:\.\d+)?[a-z]+/gi);
+        if (!pieces || pieces.join("") !== word || pieces.some(p => isNaN(ms(p)))) break;
+        total += pieces.reduce((sum, p) => sum + ms(p), 0);
+        i++;
+    }
+    return total > 0 ? { duration: total, used: i } : null;
+}
+
+// When a one-off reminder is due: "2h", "in 30 minutes", "tomorrow 9:00",
+// "friday 18:30", "2025-03-01 8am", "today", or a bare "21:00" (the next
+// time the clock shows it). Returns the due date and the remaining text.
+function parseWhen(input, timeZone, now = new Date()) {
+    const words = input.trim().split(/\s+/);
+
+    const duration = parseDuration(words);
+    if (duration) {
+        return { dueAt: new Date(now.getTime() + duration.duration), text: words.slice(duration.used).join(" ") };
+    }
+
+    const today = zonedParts(now, timeZone);
+    const first = words[0].toLowerCase();
+    let date = null;
+    let used = 0;
+    let iso;
+    if (first === "today") {
+        date = addDays(today, 0);
+        used = 1;
+    } else if (first === "tomorrow") {
+        date = addDays(today, 1);
+        used = 1;
+    } else if ((iso = first.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+        date = { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+        if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) return null;
+        used = 1;
+    } else if (parseWeekday(first) !== -1) {
+        const weekday = parseWeekday(first);
+        date = addDays(today, (weekday - today.weekday + 7) % 7);
+        used = 1;
+    }
+
+    const time = parseTime(words.slice(used));
+    if (!date && !time) return null;
+    const clock = time ? time.time : DEFAULT_TIME;
+    if (time) used += time.used;
+
+    let dueAt = zonedTime({ ...(date || today), ...clock }, timeZone);
+    if (dueAt <= now) {
+        if (!date) {
+            dueAt = zonedTime({ ...addDays(today, 1), ...clock }, timeZone);
+        } else if (parseWeekday(first) !== -1) {
+            dueAt = zonedTime({ ...addDays(date, 7), ...clock }, timeZone);
+        } else {
+            throw new ReminderError("reminders.errors.past");
+        }
+    }
+    return { dueAt, text: words.slice(used).join(" ") };
+}
+
+// The schedule of a recurring reminder: "monday 10:00", "mon,thu 8am",
+// "day 9:00", "weekday 8:30", "weekend", or an interval such as "2h"
+// (at least 10 minutes). Days without a time run at 9:00.
+function parseRule(input) {
+    const words = input.trim().split(/\s+/);
+
+    const duration = parseDuration(words);
+    if (duration) {
+        if (duration.duration < MIN_INTERVAL) throw new ReminderError("reminders.errors.too_often");
+        return { rule: { interval: duration.duration }, text: words.slice(duration.used).join(" ") };
+    }
+
+    const first = words[0].toLowerCase();
+    let days = DAY_SETS[first];
+    if (!days) {
+        const listed = first.split(",").filter(Boolean).map(parseWeekday);
+        if (listed.length === 0 || listed.includes(-1)) return null;
+        days = [...new Set(listed)].sort((a, b) => a - b);
+    }
+    const time = parseTime(words.slice(1));
+    const clock = time ? time.time : DEFAULT_TIME;
+    return { rule: { days, ...clock }, text: words.slice(1 + (time ? time.used : 0)).join(" ") };
+}
+
+// The first run of `rule` after `after`. Interval rules step on from
+// `previous` so they keep their rhythm, skipping runs missed while down.
+function nextOccurrence(rule, timeZone, after = new Date(), previous = null) {
+    if (rule.interval) {
+        if (!previous) return new Date(after.getTime() + rule.interval);
+        const missed = Math.floor((after - previous) / rule.interval) + 1;
+        return new Date(previous.getTime() + Math.max(missed, 1) * rule.interval);
+    }
+    const today = zonedParts(after, timeZone);
+    for (let i = 0; i <= 7; i++) {
+        const date = addDays(today, i);
+        if (!rule.days.includes(date.weekday)) continue;
+        const run = zonedTime({ ...date, hour: rule.hour, minute: rule.minute }, timeZone);
+        if (run > after) return run;
+    }
+    return null;
+}
+
+const pad = n => String(n).padStart(2, "0");
+const english = translator(DEFAULT_LANGUAGE);
+
+// Intervals are shown in the largest unit that divides them evenly.
+const UNITS = [["day", 24 * 60 * 60 * 1000], ["hour", 60 * 60 * 1000], ["minute", 60 * 1000], ["second", 1000]];
+
+// The describing functions take a translator (see i18n.js), English by default.
+function describeRule(rule, t = english) {
+    if (rule.interval) {
+        const [unit, size] = UNITS.find(([, length]) => rule.interval % length === 0) || UNITS[UNITS.length - 1];
+        const count = Math.round(rule.interval / size);
+        return t("reminders.rule.interval", { interval: t(`reminders.units.${unit}`, { count }) });
+    }
+    const time = `${pad(rule.hour)}:${pad(rule.minute)}`;
+    const set = Object.keys(DAY_SETS).find(name => DAY_SETS[name].join() === rule.days.join());
+    const days = set
+        ? t(`reminders.rule.${set}`)
+        : rule.days.map(d => t(`reminders.weekdays.${WEEKDAYS[d]}`)).join(", ");
+    return t("reminders.rule.days", { days, time });
+}
+
+function formatTime(date, timeZone, t = english) {
+    const p = zonedParts(date, timeZone);
+    const weekday = t(`reminders.weekdays.${WEEKDAYS[p.weekday]}`).slice(0, 3);
+    return `${weekday} ${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)} (${timeZone})`;
+}
+
+// One-off and recurring reminders. Each reminder row has exactly one pending
+// "reminder" job for its next run; jobs that fell due while the bot was down
+// are claimed on start, so reminders are delivered late rather than lost.
+function createReminders({ db, scheduler, i18n, metrics }) {
+    scheduler.define("reminder", async (job, telegram) => {
+        const reminder = await db.getReminder(job.payload.reminderId);
+        // Skip cancelled reminders and stale jobs (e.g. re-queued after a
+        // crash that happened once the next run was already scheduled).
+        if (!reminder || reminder.status !== "active") return;
+        if (new Date(reminder.next_run).getTime() !== new Date(job.due_at).getTime()) return;
+
+        // Retries keep the original due time for the delay note.
+        const due = new Date(job.payload.due || reminder.next_run);
+        const late = Date.now() - due.getTime() > LATE_AFTER;
+        // Recurring messages speak to the chat, one-off reminders to their owner.
+        const t = translator(await i18n.languageOf(reminder.chat_id, reminder.rule ? undefined : reminder.user_id));
+        let msg = reminder.rule
+            ? t("reminders.delivery.recurring", { text: reminder.text })
+            : t("reminders.delivery.once", { name: reminder.user_name, text: reminder.text });
+        if (late) msg += `\n\n${t("reminders.delivery.delayed", { time: formatTime(due, reminder.timezone, t) })}`;
+
+        // A job re-queued after a crash finds its run claimed and only moves
+        // the reminder on, as the message may already have gone out.
+        const claimed = await db.claimReminderRun(reminder.id, job.due_at);
+        let error = null;
+        if (claimed) {
+            try {
+                await telegram.sendMessage(reminder.chat_id, msg);
+            } catch (err) {
+                error = err;
+            }
+        }
+        // A 400/403 means the chat is gone or the bot was removed; stop trying.
+        const gone = error && error.response && [400, 403].includes(error.response.error_code);
+        const attempt = job.payload.attempt || 0;
+        if (reminder.rule && !gone) {
+            await scheduleNext(reminder);
+        } else if (error && !gone && attempt < RETRIES) {
+            await retry(reminder, error, attempt, due);
+        } else {
+            await db.setReminderStatus(reminder.id, error ? "failed" : "done");
+        }
+        if (error && !gone) throw error;
+        if (claimed && !error) metrics.remindersSent.inc({ kind: reminder.rule ? "recurring" : "once" });
+    });
+
+    async function scheduleNext(reminder) {
+        const current = await db.getReminder(reminder.id);
+        if (!current || current.status !== "active") return;
+        const previous = new Date(reminder.next_run);
+        const after = new Date(Math.max(Date.now(), previous.getTime()));
+        const next = nextOccurrence(reminder.rule, reminder.timezone, after, previous);
+        await db.setReminderNextRun(reminder.id, next);
+        await scheduler.schedule("reminder", {
+            chatId: reminder.chat_id, userId: reminder.user_id, payload: { reminderId: reminder.id }, dueAt: next
+        });
+    }
+
+    // Telegram says how long to wait after a 429; otherwise back off.
+    async function retry(reminder, error, attempt, due) {
+        const parameters = error.response && error.response.parameters;
+        const delay = parameters && parameters.retry_after ? parameters.retry_after * 1000 : RETRY_DELAY * 2 ** attempt;
+        const dueAt = new Date(Date.now() + delay);
+        await db.setReminderNextRun(reminder.id, dueAt);
+        await scheduler.schedule("reminder", {
+            chatId: reminder.chat_id,
+            userId: reminder.user_id,
+            payload: { reminderId: reminder.id, attempt: attempt + 1, due: due.toISOString() },
+            dueAt
+        });
+    }
+
+    async function timezoneOf(userId) {
+        return (await db.getTimezone(userId)) || DEFAULT_TIMEZONE;
+    }
+
+    async function setTimezone(userId, timeZone) {
+        if (!isTimezone(timeZone)) throw new ReminderError("reminders.errors.timezone", { zone: timeZone });
+        // Intl normalises the case, e.g. "europe/london" → "Europe/London".
+        const name = new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+        await db.setTimezone(userId, name);
+        return name;
+    }
+
+    async function create({ chat, user, text, rule, dueAt, timezone }) {
+        if (!text) throw new ReminderError("reminders.errors.no_text");
+        if (dueAt - Date.now() > MAX_AHEAD) throw new ReminderError("reminders.errors.too_far");
+        if (await db.countActiveReminders(user.id) >= MAX_ACTIVE) {
+            throw new ReminderError("reminders.errors.too_many", { count: MAX_ACTIVE });
+        }
+        const reminder = await db.createReminder({
+            chatId: chat.id,
+            userId: user.id,
+            userName: user.username ? `@${user.username}` : user.first_name,
+            text,
+            rule,
+            timezone,
+            nextRun: dueAt
+        });
+        await scheduler.schedule("reminder", {
+            chatId: chat.id, userId: user.id, payload: { reminderId: reminder.id }, dueAt
+        });
+        return reminder;
+    }
+
+    async function remind(chat, user, input) {
+        const timezone = await timezoneOf(user.id);
+        const parsed = parseWhen(input, timezone);
+        if (!parsed) throw new ReminderError("reminders.errors.when");
+        return create({ chat, user, text: parsed.text, dueAt: parsed.dueAt, timezone });
+    }
+
+    async function every(chat, user, input) {
+        const timezone = await timezoneOf(user.id);
+        const parsed = parseRule(input);
+        if (!parsed) throw new ReminderError("reminders.errors.how_often");
+        const dueAt = nextOccurrence(parsed.rule, timezone);
+        return create({ chat, user, text: parsed.text, rule: parsed.rule, dueAt, timezone });
+    }
+
+    // The pending job stays queued and finds the reminder cancelled.
+    async function cancel(id) {
+        await db.setReminderStatus(id, "cancelled");
+    }
+
+    function describe(reminder, t = english) {
+        const when = formatTime(new Date(reminder.next_run), reminder.timezone, t);
+        const repeat = reminder.rule ? ` (${describeRule(reminder.rule, t)})` : "";
+        return `#${reminder.id} ${when}${repeat}: ${reminder.text}`;
+    }
+
+    return {
+        timezoneOf,
+        setTimezone,
+        remind,
+        every,
+        cancel,
+        describe,
+        get: id => db.getReminder(id),
+        list: (userId, chatId) => db.listReminders({ userId, chatId })
+    };
+}
+
+module.exports = {
+    ReminderError,
+    parseWhen,
+    parseRule,
+    nextOccurrence,
+    describeRule,
+    formatTime,
+    createReminders
+};
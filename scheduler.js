@@ -0,0 +1,80 @@
+const POLL_INTERVAL = 10 * 1000;
+
+// Runs actions stored in the scheduled_jobs table when they fall due.
+// Jobs live in Postgres, so anything scheduled before a restart is picked
+// up again by start(). Handlers are registered per action name with
+// `scheduler.define("unmute", async (job, telegram) => { ... })`.
+class JobScheduler {
+    constructor({ db, telegram, metrics, interval = POLL_INTERVAL }) {
+        this.db = db;
+        this.telegram = telegram;
+        this.metrics = metrics;
+        this.interval = interval;
+        this.handlers = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    define(action, handler) {
+        this.handlers.set(action, handler);
+        return this;
+    }
+
+    async schedule(action, { chatId, userId, payload, dueAt }) {
+        if (!this.handlers.has(action)) {
+            throw new Error(`No handler defined for job action "${action}"`);
+        }
+        const job = await this.db.createJob({ action, chatId, userId, payload, dueAt });
+
+        // Don't wait for the next poll when the job is due sooner than that.
+        const delay = new Date(dueAt).getTime() - Date.now();
+        if (this.timer && delay < this.interval) {
+            setTimeout(() => this.tick(), Math.max(delay, 0));
+        }
+        return job;
+    }
+
+    async start() {
+        const requeued = await this.db.requeueInterruptedJobs();
+        if (requeued > 0) console.log(`Scheduler: re-queued ${requeued} interrupted job(s)`);
+        this.timer = setInterval(() => this.tick(), this.interval);
+        await this.tick();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+        try {
+            let jobs;
+            do {
+                jobs = await this.db.claimDueJobs();
+                for (const job of jobs) {
+                    await this.runJob(job);
+                }
+            } while (jobs.length > 0);
+        } catch (err) {
+            this.metrics.handlerError("Scheduler", err);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async runJob(job) {
+        const handler = this.handlers.get(job.action);
+        try {
+            if (!handler) throw new Error(`No handler defined for job action "${job.action}"`);
+            await handler(job, this.telegram);
+            await this.db.finishJob(job.id);
+        } catch (err) {
+            this.metrics.handlerError(`Job ${job.action}`, err);
+            await this.db.finishJob(job.id, err.message || String(err));
+        }
+    }
+}
+
+module.exports = JobScheduler;
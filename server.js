@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const express = require("express");
+
+// The bot's only HTTP server: the uptime check, short links, the admin
+// dashboard and, in webhook mode, Telegram updates all share PORT.
+function createServer({ port = process.env.PORT || 5000 } = {}) {
+    const app = express();
+    let server = null;
+
+    app.get("/", (req, res) => {
+        res.send("Bot is running!");
+    });
+
+    function start() {
+        return new Promise((resolve, reject) => {
+            server = app.listen(port, err => {
+                if (err) return reject(err);
+                console.log("HTTP server running on port " + port);
+                resolve(server);
+            });
+        });
+    }
+
+    function stop() {
+        return new Promise(resolve => {
+            if (!server) return resolve();
+            server.close(() => resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    // Receives updates at the path of `url`. Telegram sends `secretToken` in
+    // a header with every update and the callback rejects requests without it.
+    async function useWebhook(bot, { url, secretToken }) {
+        const path = new URL(url).pathname;
+        app.post(path, bot.webhookCallback(path, { secretToken }));
+        await bot.telegram.setWebhook(url, { secret_token: secretToken });
+    }
+
+    return { app, start, stop, useWebhook };
+}
+
+// Telegram allows 1-256 characters of A-Z, a-z, 0-9, _ and -; without
+// WEBHOOK_SECRET, one is derived from the bot token.
+function webhookSecret(botToken, secret = process.env.WEBHOOK_SECRET) {
+    return secret || crypto.createHash("sha256").update(`webhook:${botToken}`).digest("hex");
+}
+
+module.exports = { createServer, webhookSecret };
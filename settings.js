@@ -0,0 +1,118 @@
+// Defaults for every per-chat setting, grouped by feature. A chat's stored
+// settings only hold what differs from these.
+const DEFAULTS = {
+    commands: {
+        disabled: []
+    },
+    ai: {
+        enabled: true
+    },
+    locale: {
+        // Language of the bot's replies; null follows each user's own.
+        language: null
+    },
+    translation: {
+        // Default target for /trt.
+        language: "English",
+        // Target language of auto-translate mode; null means off.
+        auto: null,
+        // Users who don't want their messages auto-translated.
+        optOut: []
+    },
+    warnings: {
+        // Applied when a user reaches `count` active warnings.
+        ladder: [
+            { count: 3, action: "mute", duration: "1h" },
+            { count: 5, action: "kick" },
+            { count: 7, action: "ban" }
+        ],
+        expiry: null
+    },
+    antiflood: {
+        enabled: false,
+        maxMessages: 5,
+        window: "10s",
+        maxRepeats: 3,
+        maxMentions: 5,
+        // Links and forwards are spam from members who joined this recently.
+        newMemberPeriod: "24h",
+        action: "mute",
+        muteDuration: "10m"
+    },
+    automod: {
+        enabled: false,
+        // Also review photos, not just text and captions.
+        images: false,
+        // Per category: off, flag, delete, warn or mute.
+        actions: { toxicity: "delete", scam: "delete", nsfw: "delete" },
+        muteDuration: "1h",
+        // Scores from 0 to 1 at or above this are acted on.
+        threshold: 0.8
+    },
+    welcome: {
+        // Templates with {name}, {username}, {id}, {chat} and {count}; null means off.
+        welcome: null,
+        goodbye: null,
+        captcha: false,
+        captchaMode: "button",
+        captchaTimeout: "2m"
+    }
+};
+
+// Chats whose settings are kept in memory; the rest are read again when needed.
+const CACHE_SIZE = 10000;
+
+// Per-chat settings backed by the chat_settings table, cached in memory.
+function createChatSettings({ db }) {
+    const cache = new Map();
+
+    function remember(chatId, stored) {
+        cache.delete(chatId);
+        cache.set(chatId, stored);
+        // Maps iterate in insertion order, so the first key is the least recently used.
+        if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+    }
+
+    function merge(stored) {
+        const settings = {};
+        Object.keys(DEFAULTS).forEach(section => {
+            settings[section] = { ...DEFAULTS[section], ...(stored[section] || {}) };
+        });
+        return settings;
+    }
+
+    async function load(chatId) {
+        const stored = cache.has(chatId) ? cache.get(chatId) : (await db.getChatSettings(chatId)) || {};
+        remember(chatId, stored);
+        return stored;
+    }
+
+    async function get(chatId) {
+        return merge(await load(chatId));
+    }
+
+    // Shallow-merges `patch` into one section and saves it.
+    async function update(chatId, section, patch) {
+        const stored = await load(chatId);
+        const next = { ...stored, [section]: { ...(stored[section] || {}), ...patch } };
+        await db.saveChatSettings(chatId, next);
+        remember(chatId, next);
+        return merge(next);
+    }
+
+    // Commands behind a permission (and those marked toggleable: false)
+    // can't be switched off; AI-backed commands also follow the AI switch.
+    async function isCommandEnabled(chatId, command) {
+        const settings = await get(chatId);
+        if (command.ai && !settings.ai.enabled) return false;
+        return !isToggleable(command) || !settings.commands.disabled.includes(command.name);
+    }
+
+    return { get, update, isCommandEnabled };
+}
+
+function isToggleable(command) {
+    return command.toggleable !== undefined ? command.toggleable : !command.permission;
+}
+
+module.exports = { DEFAULTS, createChatSettings, isToggleable };
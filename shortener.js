@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const ms = require("ms");
+const { UserError } = require("./i18n");
+
+const SLUG_CHARS = "abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SLUG_LENGTH = 6;
+const ALIAS = /^[A-Za-z0-9_-]{3,32}$/;
+const MAX_URL_LENGTH = 2048;
+const MAX_DRAFTS = 1000;
+
+class ShortenerError extends UserError {}
+
+function randomSlug() {
+    const bytes = crypto.randomBytes(SLUG_LENGTH);
+    return Array.from(bytes, b => SLUG_CHARS[b % SLUG_CHARS.length]).join("");
+}
+
+// Only absolute http(s) URLs with a real-looking host are accepted.
+function parseUrl(input) {
+    let url;
+    try {
+        url = new URL(input);
+    } catch {
+        return null;
+    }
+    if (!["http:", "https:"].includes(url.protocol) || !/\.[a-z]{2,}$/i.test(url.hostname)) return null;
+    return url;
+}
+
+// Short links served from <PUBLIC_URL>/s/<slug> by the bot's own web server.
+function createShortener({ db, publicUrl = process.env.PUBLIC_URL }) {
+    const base = publicUrl ? publicUrl.replace(/\/+$/, "") : null;
+
+    // Inline requests waiting for their button press, oldest first.
+    const drafts = new Map();
+
+    const linkOf = slug => `${base}/s/${slug}`;
+
+    function check({ url, alias }) {
+        if (!base) throw new ShortenerError("shortener.not_configured");
+
+        const parsed = parseUrl(url);
+        if (!parsed || url.length > MAX_URL_LENGTH) throw new ShortenerError("shortener.invalid_url");
+        if (parsed.href.startsWith(`${base}/s/`)) throw new ShortenerError("shortener.already_short");
+        if (alias && !ALIAS.test(alias)) throw new ShortenerError("shortener.invalid_alias");
+        return parsed;
+    }
+
+    async function shorten({ url, alias, expires, ownerId }) {
+        const parsed = check({ url, alias });
+        const expiresAt = expires ? new Date(Date.now() + ms(expires)) : null;
+
+        if (alias) {
+            const link = await db.createShortLink({ slug: alias, url: parsed.href, ownerId, custom: true, expiresAt });
+            if (!link) throw new ShortenerError("shortener.alias_taken", { alias });
+            return { ...link, short: linkOf(link.slug) };
+        }
+
+        // Asking again for the same URL returns the link made the first time.
+        if (!expiresAt) {
+            const existing = await db.findShortLink(ownerId, parsed.href);
+            if (existing) return { ...existing, short: linkOf(existing.slug) };
+        }
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const link = await db.createShortLink({ slug: randomSlug(), url: parsed.href, ownerId, custom: false, expiresAt });
+            if (link) return { ...link, short: linkOf(link.slug) };
+        }
+        throw new Error("Could not find a free slug");
+    }
+
+    // Inline queries arrive on every keystroke, so inline mode only checks
+    // the request and keeps it here under a short id; the link is created
+    // by shortenDraft() when the button on the sent message is pressed.
+    function draft(options) {
+        check(options);
+        const id = crypto.randomBytes(6).toString("base64url");
+        drafts.set(id, options);
+        if (drafts.size > MAX_DRAFTS) drafts.delete(drafts.keys().next().value);
+        return id;
+    }
+
+    // Returns null once the draft is gone (used, evicted or lost on restart).
+    async function shortenDraft(id) {
+        const options = drafts.get(id);
+        if (!options) return null;
+        drafts.delete(id);
+        return shorten(options);
+    }
+
+    async function stats(slug) {
+        const link = await db.getShortLink(slug);
+        if (!link) return null;
+        const { daily, lastClick } = await db.getShortLinkClicks(slug, 7);
+        return { ...link, short: linkOf(slug), daily, lastClick };
+    }
+
+    // Express handler for GET /s/:slug.
+    async function redirect(req, res) {
+        try {
+            const link = await db.getShortLink(req.params.slug);
+            if (!link) return res.status(404).send("Link not found.");
+            if (link.expires_at && new Date(link.expires_at) < new Date()) {
+                return res.status(410).send("This link has expired.");
+            }
+            await db.recordShortLinkClick(link.slug);
+            res.redirect(302, link.url);
+        } catch (err) {
+            console.error("Short link error:", err);
+            res.status(500).send("Something went wrong.");
+        }
+    }
+
+    return { shorten, draft, shortenDraft, stats, redirect };
+}
+
+module.exports = { ShortenerError, createShortener };
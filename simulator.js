@@ -0,0 +1,332 @@
+const readline = require("readline");
+const { createApp } = require("./app");
+const { createMemoryDatabase } = require("./memory-db");
+const { createMockProvider } = require("./ai/mock");
+
+const BOT_INFO = {
+    id: 100000,
+    is_bot: true,
+    first_name: "Simulator",
+    username: "simulator_bot",
+    can_join_groups: true,
+    can_read_all_group_messages: false,
+    supports_inline_queries: true
+};
+
+const USERS = [
+    { id: 1001, is_bot: false, first_name: "Alice", username: "alice", language_code: "en" },
+    { id: 1002, is_bot: false, first_name: "Bob", username: "bob", language_code: "en" },
+    { id: 1003, is_bot: false, first_name: "Carol", username: "carol", language_code: "es" }
+];
+
+const GROUP = { id: -1001000000001, type: "supergroup", title: "Simulator group" };
+
+// Methods whose result is the message that was sent or edited.
+const MESSAGE_METHODS = new Set([
+    "sendMessage", "sendPhoto", "sendDocument", "sendAudio", "sendVoice", "sendVideo",
+    "sendAnimation", "sendSticker", "forwardMessage", "editMessageText", "editMessageReplyMarkup"
+]);
+
+// Runs the real bot (same middleware, commands and handlers as bot.js)
+// against an in-memory store, the mock AI provider and a fake Telegram API
+// that records every call instead of sending it. Each step (send, press,
+// inline, join, leave, tick) resolves to the API calls it caused, so
+// scenarios can be scripted as well as played in the console below.
+//
+// By default Alice (1001) owns the bot, Bob (1002) administers the group
+// and Carol (1003) is a member whose Telegram app is in Spanish.
+function createSimulator({
+    ownerId = USERS[0].id,
+    users = USERS,
+    group = GROUP,
+    groupAdmins = [USERS[1].id]
+} = {}) {
+    const db = createMemoryDatabase();
+    const app = createApp({
+        db,
+        token: "simulator",
+        ownerId,
+        ai: { providers: { mock: createMockProvider() }, primary: "mock", fallbacks: [] }
+    });
+    const { bot } = app;
+
+    const calls = [];
+    const messages = new Map();
+    const messageIds = new Map();
+    const members = new Map([[group.id, new Set(users.map(u => u.id))]]);
+    let updateId = 0;
+
+    const messageKey = (chatId, messageId) => `${chatId}:${messageId}`;
+    const now = () => Math.floor(Date.now() / 1000);
+
+    function nextMessageId(chatId) {
+        const id = (messageIds.get(chatId) || 0) + 1;
+        messageIds.set(chatId, id);
+        return id;
+    }
+
+    function chatOf(chatId) {
+        if (Number(chatId) === group.id) return group;
+        const user = users.find(u => u.id === Number(chatId));
+        return user
+            ? { id: user.id, type: "private", first_name: user.first_name, username: user.username }
+            : { id: Number(chatId), type: "private", first_name: String(chatId) };
+    }
+
+    function store(message) {
+        messages.set(messageKey(message.chat.id, message.message_id), message);
+        return message;
+    }
+
+    function botMessage(method, payload) {
+        const chat = chatOf(payload.chat_id);
+        if (method.startsWith("edit")) {
+            const existing = messages.get(messageKey(chat.id, payload.message_id));
+            if (!existing) return true;
+            if (payload.text !== undefined) existing.text = payload.text;
+            existing.reply_markup = payload.reply_markup;
+            existing.edit_date = now();
+            return existing;
+        }
+        const message = { message_id: nextMessageId(chat.id), from: BOT_INFO, chat, date: now() };
+        if (payload.text !== undefined) message.text = payload.text;
+        if (payload.caption !== undefined) message.caption = payload.caption;
+        if (payload.reply_markup) message.reply_markup = payload.reply_markup;
+        if (payload.reply_parameters) {
+            message.reply_to_message = messages.get(messageKey(chat.id, payload.reply_parameters.message_id));
+        }
+        return store(message);
+    }
+
+    // The fake Telegram API. Only what the bot reads back is modelled;
+    // every other method just succeeds.
+    async function callApi(method, payload = {}) {
+        const call = { method, payload, result: true };
+        calls.push(call);
+        call.result = respond(method, payload);
+        return call.result;
+    }
+
+    function respond(method, payload) {
+        if (MESSAGE_METHODS.has(method)) return botMessage(method, payload);
+        if (method === "copyMessage") return { message_id: nextMessageId(Number(payload.chat_id)) };
+        switch (method) {
+            case "getMe":
+                return BOT_INFO;
+            case "getChat":
+                return chatOf(payload.chat_id);
+            case "getChatAdministrators":
+                return groupAdmins.map(id => ({
+                    status: "administrator",
+                    user: users.find(u => u.id === id) || { id, is_bot: false, first_name: String(id) }
+                }));
+            case "getChatMembersCount":
+            case "getChatMemberCount":
+                return (members.get(Number(payload.chat_id)) || new Set()).size;
+            case "getWebhookInfo":
+                return { url: "", has_custom_certificate: false, pending_update_count: 0 };
+            default:
+                return true;
+        }
+    }
+
+    bot.botInfo = BOT_INFO;
+    bot.telegram.callApi = callApi;
+    // Telegraf gives each update its own Telegram client; point ctx.telegram
+    // back at the faked one.
+    bot.context.telegram = bot.telegram;
+
+    async function dispatch(update) {
+        const start = calls.length;
+        await bot.handleUpdate({ update_id: ++updateId, ...update });
+        return calls.slice(start);
+    }
+
+    function userMessage(from, chat, fields) {
+        return store({ message_id: nextMessageId(chat.id), from, chat, date: now(), ...fields });
+    }
+
+    // A text message from `from` (default: the owner) in `chat` (default:
+    // their private chat). Commands get the entity Telegram would add.
+    // `replyTo` is the message_id of a message in the same chat.
+    function send(text, { from = users[0], chat, replyTo } = {}) {
+        chat = chat || chatOf(from.id);
+        const fields = { text };
+        const command = text.match(/^\/\S+/);
+        if (command) fields.entities = [{ type: "bot_command", offset: 0, length: command[0].length }];
+        if (replyTo) fields.reply_to_message = messages.get(messageKey(chat.id, replyTo));
+        return dispatch({ message: userMessage(from, chat, fields) });
+    }
+
+    function inline(query, { from = users[0] } = {}) {
+        return dispatch({
+            inline_query: { id: String(updateId + 1), from, query, offset: "", chat_type: "sender" }
+        });
+    }
+
+    // Presses a callback button. `message` is the bot message carrying it;
+    // by default the latest message with an inline keyboard.
+    function press(data, { from = users[0], message = lastKeyboard() } = {}) {
+        return dispatch({
+            callback_query: {
+                id: String(updateId + 1),
+                from,
+                message,
+                chat_instance: message ? String(message.chat.id) : "0",
+                data
+            }
+        });
+    }
+
+    function join(user, { chat = group } = {}) {
+        if (!members.has(chat.id)) members.set(chat.id, new Set());
+        members.get(chat.id).add(user.id);
+        return dispatch({ message: userMessage(user, chat, { new_chat_members: [user] }) });
+    }
+
+    function leave(user, { chat = group } = {}) {
+        if (members.has(chat.id)) members.get(chat.id).delete(user.id);
+        return dispatch({ message: userMessage(user, chat, { left_chat_member: user }) });
+    }
+
+    // Runs scheduled jobs that are due (unmutes, captcha timeouts, reminders).
+    async function tick() {
+        const start = calls.length;
+        await app.scheduler.tick();
+        return calls.slice(start);
+    }
+
+    function lastKeyboard() {
+        const withButtons = Array.from(messages.values())
+            .filter(m => m.from.id === BOT_INFO.id && m.reply_markup && m.reply_markup.inline_keyboard);
+        return withButtons[withButtons.length - 1] || null;
+    }
+
+    return {
+        app,
+        db,
+        bot,
+        users,
+        group,
+        calls,
+        load: app.load,
+        chatOf,
+        send,
+        inline,
+        press,
+        join,
+        leave,
+        tick,
+        lastKeyboard,
+        message: (chatId, messageId) => messages.get(messageKey(chatId, messageId)) || null
+    };
+}
+
+function buttons(markup) {
+    return markup && markup.inline_keyboard ? markup.inline_keyboard.flat() : [];
+}
+
+// One readable block per API call, e.g. for the console.
+function formatCall({ method, payload, result }) {
+    const sent = result && result.message_id ? ` #${result.message_id}` : "";
+    const target = payload.chat_id !== undefined ? ` → ${payload.chat_id}${sent}` : "";
+    const lines = [`${method}${target}`];
+    const text = payload.text || payload.caption;
+    if (text) lines.push(...text.split("\n").map(line => `  ${line}`));
+    if (method === "answerInlineQuery") {
+        payload.results.forEach(r => lines.push(`  • ${r.title}: ${(r.input_message_content || {}).message_text || ""}`));
+    } else if (method === "answerCallbackQuery" && !text) {
+        lines.push("  (no text)");
+    } else if (!text) {
+        const details = Object.entries(payload)
+            .filter(([name, value]) => name !== "chat_id" && value !== undefined)
+            .map(([name, value]) => `${name}=${typeof value === "object" ? JSON.stringify(value) : value}`);
+        if (details.length > 0) lines.push(`  ${details.join(" ")}`);
+    }
+    buttons(payload.reply_markup).forEach((button, i) => {
+        lines.push(`  [${i + 1}] ${button.text}${button.callback_data ? ` (${button.callback_data})` : ""}${button.url ? ` <${button.url}>` : ""}`);
+    });
+    return lines.join("\n");
+}
+
+const HELP = `Type a message (or /command) to send it, or:
+  :user <id>               act as another user (${USERS.map(u => `${u.id} ${u.first_name}`).join(", ")})
+  :private | :group        send in your private chat or the group
+  :reply <message_id> <text>
+  :inline <query>          send an inline query
+  :press <n|data>          press button n of the last keyboard, or send raw callback data
+  :join | :leave           join or leave the group as the current user
+  :tick                    run scheduled jobs that are due
+  :quit`;
+
+async function runConsole() {
+    const sim = createSimulator();
+    await sim.load();
+
+    let from = sim.users[0];
+    let chat = sim.chatOf(from.id);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const prompt = () => {
+        rl.setPrompt(`${from.first_name}@${chat.type === "private" ? "private" : chat.title}> `);
+        rl.prompt();
+    };
+    const print = result => result.forEach(call => console.log(formatCall(call)));
+
+    console.log(`Offline simulator. ${from.first_name} (${from.id}) owns the bot; :help lists commands.`);
+    prompt();
+
+    for await (const line of rl) {
+        const input = line.trim();
+        const [command, ...rest] = input.split(" ");
+        const arg = rest.join(" ");
+        try {
+            if (!input) {
+                // Nothing to send.
+            } else if (command === ":quit") {
+                break;
+            } else if (command === ":help") {
+                console.log(HELP);
+            } else if (command === ":user") {
+                const user = sim.users.find(u => u.id === Number(arg));
+                if (!user) console.log(`Unknown user; pick one of ${sim.users.map(u => u.id).join(", ")}`);
+                else {
+                    from = user;
+                    if (chat.type === "private") chat = sim.chatOf(from.id);
+                }
+            } else if (command === ":private") {
+                chat = sim.chatOf(from.id);
+            } else if (command === ":group") {
+                chat = sim.group;
+            } else if (command === ":reply") {
+                print(await sim.send(rest.slice(1).join(" "), { from, chat, replyTo: Number(rest[0]) }));
+            } else if (command === ":inline") {
+                print(await sim.inline(arg, { from }));
+            } else if (command === ":press") {
+                const message = sim.lastKeyboard();
+                const button = /^\d+$/.test(arg) ? buttons(message && message.reply_markup)[Number(arg) - 1] : null;
+                if (/^\d+$/.test(arg) && !button) console.log("No such button");
+                else print(await sim.press(button ? button.callback_data : arg, { from, message }));
+            } else if (command === ":join") {
+                print(await sim.join(from));
+            } else if (command === ":leave") {
+                print(await sim.leave(from));
+            } else if (command === ":tick") {
+                print(await sim.tick());
+            } else if (command.startsWith(":")) {
+                console.log("Unknown command; :help lists them");
+            } else {
+                print(await sim.send(input, { from, chat }));
+            }
+        } catch (err) {
+            console.error("Simulator error:", err);
+        }
+        prompt();
+    }
+    rl.close();
+}
+
+if (require.main === module) {
+    runConsole().then(() => process.exit(0));
+}
+
+module.exports = { createSimulator, formatCall, USERS, GROUP };
@@ -0,0 +1,193 @@
+// Auto-translation is capped per chat so a busy group can't run up the AI bill.
+const AUTO_RATE = parseInt(process.env.AUTOTRANSLATE_RATE) || 10;
+const AUTO_WINDOW = 60 * 1000;
+
+const LANGUAGE_CODES = {
+    en: "English", es: "Spanish", fr: "French", de: "German", it: "Italian",
+    pt: "Portuguese", ru: "Russian", uk: "Ukrainian", pl: "Polish", nl: "Dutch",
+    tr: "Turkish", ar: "Arabic", fa: "Persian", hi: "Hindi", bn: "Bengali",
+    id: "Indonesian", vi: "Vietnamese", th: "Thai", zh: "Chinese", ja: "Japanese", ko: "Korean"
+};
+
+// The entity types that map onto Telegram's HTML parse mode.
+const ENTITY_TAGS = {
+    bold: ["<b>", "</b>"],
+    italic: ["<i>", "</i>"],
+    underline: ["<u>", "</u>"],
+    strikethrough: ["<s>", "</s>"],
+    spoiler: ["<tg-spoiler>", "</tg-spoiler>"],
+    code: ["<code>", "</code>"],
+    pre: ["<pre>", "</pre>"],
+    blockquote: ["<blockquote>", "</blockquote>"]
+};
+
+const escapeHtml = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// "es", "spanish" and "Spanish" all mean Spanish; anything else that looks
+// like a language name is passed through for the model to interpret.
+function normalizeLanguage(input) {
+    if (!input) return null;
+    const name = input.trim();
+    if (LANGUAGE_CODES[name.toLowerCase()]) return LANGUAGE_CODES[name.toLowerCase()];
+    if (!/^[\p{L} ()-]{2,30}$/u.test(name)) return null;
+    return name.replace(/\p{L}+/gu, word => word[0].toUpperCase() + word.slice(1).toLowerCase());
+}
+
+// Rebuilds a message's formatting as Telegram HTML. Offsets are in UTF-16
+// code units, the same as JavaScript string indexes.
+function entitiesToHtml(text, entities = []) {
+    const opens = new Map();
+    const closes = new Map();
+    const add = (map, index, tag, front) => {
+        const list = map.get(index) || [];
+        if (front) list.unshift(tag);
+        else list.push(tag);
+        map.set(index, list);
+    };
+
+    // Outer entities first, so tags that share a position nest properly.
+    [...entities].sort((a, b) => a.offset - b.offset || b.length - a.length).forEach(entity => {
+        let tags = ENTITY_TAGS[entity.type];
+        if (entity.type === "text_link") tags = [`<a href="${escapeHtml(entity.url).replace(/"/g, "&quot;")}">`, "</a>"];
+        if (!tags) return;
+        add(opens, entity.offset, tags[0], false);
+        add(closes, entity.offset + entity.length, tags[1], true);
+    });
+
+    let html = "";
+    for (let i = 0; i <= text.length; i++) {
+        if (closes.has(i)) html += closes.get(i).join("");
+        if (opens.has(i)) html += opens.get(i).join("");
+        if (i < text.length) html += escapeHtml(text[i]);
+    }
+    return html;
+}
+
+// Telegram rejects the whole message if the HTML is malformed, so anything
+// the model mangled falls back to plain text.
+function safeHtml(html) {
+    const stack = [];
+    const tags = html.match(/<\/?[a-z-]+[^>]*>/gi) || [];
+    for (const tag of tags) {
+        const [, closing, name] = tag.match(/^<(\/?)([a-z-]+)/i);
+        if (!["b", "i", "u", "s", "a", "code", "pre", "tg-spoiler", "blockquote"].includes(name.toLowerCase())) return null;
+        if (!closing) stack.push(name.toLowerCase());
+        else if (stack.pop() !== name.toLowerCase()) return null;
+    }
+    return stack.length === 0 ? html : null;
+}
+
+function parseResponse(raw) {
+    const json = raw.replace(/^```(?:json)?\s*|\s*```$/g, "");
+    try {
+        const parsed = JSON.parse(json);
+        if (typeof parsed.translation === "string") {
+            return { source: parsed.source || null, translation: parsed.translation };
+        }
+    } catch {
+        // The model ignored the format; treat the whole reply as the translation.
+    }
+    return { source: null, translation: raw };
+}
+
+// Translation for /trt and the per-chat auto-translate mode. The source
+// language is detected by the model in the same request.
+function createTranslator({ ai, settings, metrics }) {
+    const recent = new Map();
+
+    // With `files` (see media.js) instead of text, the text shown in an
+    // image or spoken in a recording is translated.
+    async function translate({ chatId, userId, text, entities, target, files }) {
+        if (files) return translateFiles({ chatId, userId, target, files });
+
+        const html = entitiesToHtml(text, entities);
+        const response = await ai.generate({
+            chatId,
+            userId,
+            prompt: `Translate the following text to ${target}. It may contain HTML formatting tags; keep them around the matching words. ` +
+                `Respond only with JSON of the form {"source": "<source language name in English>", "translation": "<translated text>"}, nothing else:\n\n${html}`
+        });
+        const { source, translation } = parseResponse(response.text.trim());
+        const formatted = safeHtml(translation);
+        return {
+            source,
+            same: Boolean(source) && source.toLowerCase() === target.toLowerCase(),
+            html: formatted !== null ? formatted : escapeHtml(translation.replace(/<[^>]+>/g, ""))
+        };
+    }
+
+    async function translateFiles({ chatId, userId, target, files }) {
+        const response = await ai.generate({
+            chatId,
+            userId,
+            prompt: `Transcribe the text or speech in the attached file (for images, the text shown in them) and translate it to ${target}. ` +
+                `Respond only with JSON of the form {"source": "<source language name in English>", "translation": "<translated text>"}, nothing else. ` +
+                'If there is no text or speech, respond with {"source": null, "translation": ""}.',
+            files
+        });
+        const { source, translation } = parseResponse(response.text.trim());
+        return {
+            source,
+            same: Boolean(source) && source.toLowerCase() === target.toLowerCase(),
+            empty: !translation.trim(),
+            html: escapeHtml(translation)
+        };
+    }
+
+    // The header is in the reader's language: `t` is their translator (see i18n.js).
+    function format(result, target, t) {
+        const languages = result.source ? `${result.source} → ${target}` : target;
+        return `🌐 <b>${escapeHtml(t("translate.header", { languages }))}</b>\n${result.html}`;
+    }
+
+    function withinRate(chatId) {
+        const now = Date.now();
+        const times = (recent.get(chatId) || []).filter(t => now - t < AUTO_WINDOW);
+        if (times.length >= AUTO_RATE) {
+            recent.set(chatId, times);
+            return false;
+        }
+        times.push(now);
+        recent.set(chatId, times);
+        return true;
+    }
+
+    // Replies with a translation to group messages that aren't already in
+    // the chat's auto-translate language.
+    function middleware() {
+        return async (ctx, next) => {
+            const message = ctx.message;
+            const text = message && (message.text || message.caption);
+            if (!text || ctx.chat.type === "private" || !ctx.from || ctx.from.is_bot || text.startsWith("/")) return next();
+
+            const { translation: config, ai: aiSettings } = await settings.get(ctx.chat.id);
+            if (!config.auto || !aiSettings.enabled || config.optOut.includes(ctx.from.id)) return next();
+            // Nothing to translate in links, numbers or emoji on their own.
+            if (!/\p{L}{2}/u.test(text.replace(/https?:\/\/\S+/g, ""))) return next();
+            if (!withinRate(ctx.chat.id)) return next();
+
+            try {
+                const result = await translate({
+                    chatId: ctx.chat.id,
+                    userId: ctx.from.id,
+                    text,
+                    entities: message.entities || message.caption_entities,
+                    target: config.auto
+                });
+                if (!result.same) {
+                    await ctx.reply(format(result, config.auto, ctx.t), {
+                        parse_mode: "HTML",
+                        reply_parameters: { message_id: message.message_id }
+                    });
+                }
+            } catch (err) {
+                metrics.handlerError("Auto-translate", err);
+            }
+            return next();
+        };
+    }
+
+    return { translate, format, middleware };
+}
+
+module.exports = { normalizeLanguage, entitiesToHtml, createTranslator };
@@ -0,0 +1,76 @@
+const ms = require("ms");
+
+const LADDER_STEP = /^(\d+)=(mute|kick|ban)(?::(\S+))?$/;
+
+// "3=mute:1h 5=kick 7=ban:7d" -> ladder steps, or null if any step is invalid.
+function parseLadder(input) {
+    const steps = [];
+    for (const token of input.trim().split(/\s+/)) {
+        const match = token.match(LADDER_STEP);
+        if (!match) return null;
+        const [, count, action, duration] = match;
+        if (duration && isNaN(ms(duration))) return null;
+        if (action === "mute" && !duration) return null;
+        steps.push({ count: parseInt(count), action, ...(duration ? { duration } : {}) });
+    }
+    return steps.sort((a, b) => a.count - b.count);
+}
+
+function formatLadder(ladder) {
+    return ladder
+        .map(s => `${s.count} → ${s.action}${s.duration ? ` ${s.duration}` : ""}`)
+        .join(", ");
+}
+
+// Per-chat warnings with an escalation ladder. Punishments go through the
+// shared moderation actions so they get the same timers as /mute and /kick.
+// They are reported as a translation key and params, for the caller's ctx.t.
+function createWarnings({ db, settings, moderation, metrics }) {
+    async function punish(telegram, chatId, userId, step) {
+        const params = { duration: step.duration };
+        switch (step.action) {
+            case "mute":
+                await moderation.mute(telegram, chatId, userId, ms(step.duration), step.duration);
+                return { key: "warnings.punish.mute", params };
+            case "kick":
+                await moderation.kick(telegram, chatId, userId);
+                return { key: "warnings.punish.kick", params };
+            case "ban":
+                await moderation.ban(telegram, chatId, userId, step.duration ? ms(step.duration) : null);
+                return { key: step.duration ? "warnings.punish.ban_for" : "warnings.punish.ban", params };
+        }
+    }
+
+    // Adds a warning and applies the ladder step for the new count, if any.
+    // Past the last step, the last step is applied again.
+    async function warn(telegram, { chatId, userId, reason, warnedBy }) {
+        const { warnings: config } = await settings.get(chatId);
+        const expiresAt = config.expiry ? new Date(Date.now() + ms(config.expiry)) : null;
+        await db.addWarning({ chatId, userId, reason, warnedBy, expiresAt });
+
+        const count = (await db.getActiveWarnings(chatId, userId)).length;
+        const ladder = config.ladder;
+        const last = ladder[ladder.length - 1];
+        const step = ladder.find(s => s.count === count) || (last && count > last.count ? last : null);
+
+        let punishment = null;
+        if (step) {
+            try {
+                punishment = await punish(telegram, chatId, userId, step);
+            } catch (err) {
+                metrics.handlerError("Warn punishment", err);
+                punishment = { key: "warnings.punish.failed", params: { action: step.action } };
+            }
+        }
+        return { count, max: last ? last.count : null, punishment };
+    }
+
+    return {
+        warn,
+        list: (chatId, userId) => db.getActiveWarnings(chatId, userId),
+        removeLatest: (chatId, userId) => db.removeLatestWarning(chatId, userId),
+        reset: (chatId, userId) => db.clearWarnings(chatId, userId)
+    };
+}
+
+module.exports = { parseLadder, formatLadder, createWarnings };
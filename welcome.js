@@ -0,0 +1,164 @@
+const ms = require("ms");
+const { Markup } = require("telegraf");
+const { MUTED_PERMISSIONS } = require("./moderation");
+
+// Wrong answers allowed before the captcha fails; each gets a new question.
+const CAPTCHA_ATTEMPTS = 3;
+
+// Fills in the placeholders of a welcome or goodbye template. Replacements
+// are functions so names such as "$&" are inserted as they are.
+function render(template, { user, chat, count }, t) {
+    return template
+        .replace(/\{name\}/g, () => user.first_name || t("welcome.fallback.name"))
+        .replace(/\{username\}/g, () => user.username ? `@${user.username}` : user.first_name || "")
+        .replace(/\{id\}/g, () => String(user.id))
+        .replace(/\{chat\}/g, () => chat.title || t("welcome.fallback.chat"))
+        .replace(/\{count\}/g, () => count === null ? "?" : String(count));
+}
+
+function shuffle(list) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+// A question and its answer buttons. "button" mode is a single press;
+// "math" mode asks for a small sum among four choices.
+function challenge(mode, t) {
+    if (mode !== "math") {
+        return {
+            question: t("welcome.captcha.press"),
+            answer: "ok",
+            options: [{ label: t("welcome.captcha.robot"), value: "ok" }]
+        };
+    }
+    const a = 1 + Math.floor(Math.random() * 9);
+    const b = 1 + Math.floor(Math.random() * 9);
+    const answer = a + b;
+    const options = new Set([answer]);
+    while (options.size < 4) options.add(Math.max(answer + Math.floor(Math.random() * 9) - 4, 0));
+    return {
+        question: t("welcome.captcha.sum", { a, b }),
+        answer: String(answer),
+        options: shuffle([...options]).map(n => ({ label: String(n), value: String(n) }))
+    };
+}
+
+// Welcome/goodbye messages and the join captcha. Pending captchas are kept
+// in Postgres and their timeouts run through the job scheduler, so a restart
+// neither lets anyone in nor leaves anyone restricted forever.
+function createWelcome({ db, settings, scheduler, moderation, metrics }) {
+    scheduler.define("captcha_timeout", async (job, telegram) => {
+        const pending = await db.getPendingCaptcha(job.chat_id, job.user_id);
+        if (pending) await fail(telegram, pending);
+    });
+
+    // Timed out or too many wrong answers: the user is kicked and may rejoin.
+    async function fail(telegram, pending) {
+        const { chat_id: chatId, user_id: userId } = pending;
+        // Only the caller that removes the captcha kicks.
+        if (!await db.deletePendingCaptcha(chatId, userId)) return;
+        await db.cancelJobs({ action: "captcha_timeout", chatId, userId });
+        await moderation.kick(telegram, chatId, userId);
+        if (pending.message_id) await telegram.deleteMessage(chatId, pending.message_id).catch(() => {});
+    }
+
+    async function memberCount(telegram, chatId) {
+        return telegram.getChatMembersCount(chatId).catch(() => null);
+    }
+
+    async function greet(telegram, chat, user, t) {
+        const { welcome: config } = await settings.get(chat.id);
+        if (!config.welcome) return;
+        const count = await memberCount(telegram, chat.id);
+        await telegram.sendMessage(chat.id, render(config.welcome, { user, chat, count }, t));
+    }
+
+    // The captcha message for a question from challenge().
+    function prompt(user, { question, options }, config, t) {
+        const name = user.username ? `@${user.username}` : user.first_name;
+        const buttons = options.map(o => Markup.button.callback(o.label, `captcha:${user.id}:${o.value}`));
+        return {
+            text: t("welcome.captcha.prompt", { name, question, timeout: config.captchaTimeout }),
+            extra: Markup.inlineKeyboard([buttons])
+        };
+    }
+
+    async function startCaptcha(telegram, chat, user, config, t) {
+        await telegram.restrictChatMember(chat.id, user.id, { permissions: MUTED_PERMISSIONS });
+
+        const captcha = challenge(config.captchaMode, t);
+        const { text, extra } = prompt(user, captcha, config, t);
+        const sent = await telegram.sendMessage(chat.id, text, extra);
+
+        const expiresAt = new Date(Date.now() + ms(config.captchaTimeout));
+        await db.savePendingCaptcha({
+            chatId: chat.id, userId: user.id, answer: captcha.answer, messageId: sent.message_id, expiresAt
+        });
+        await db.cancelJobs({ action: "captcha_timeout", chatId: chat.id, userId: user.id });
+        await scheduler.schedule("captcha_timeout", { chatId: chat.id, userId: user.id, dueAt: expiresAt });
+    }
+
+    async function onJoin(ctx) {
+        const { welcome: config } = await settings.get(ctx.chat.id);
+        for (const user of ctx.message.new_chat_members) {
+            if (user.is_bot) continue;
+            try {
+                if (config.captcha) {
+                    await startCaptcha(ctx.telegram, ctx.chat, user, config, ctx.t);
+                } else {
+                    await greet(ctx.telegram, ctx.chat, user, ctx.t);
+                }
+            } catch (err) {
+                metrics.handlerError("Welcome", err);
+            }
+        }
+    }
+
+    async function onLeave(ctx) {
+        const user = ctx.message.left_chat_member;
+        if (user.is_bot) return;
+        await db.deletePendingCaptcha(ctx.chat.id, user.id);
+
+        const { welcome: config } = await settings.get(ctx.chat.id);
+        if (!config.goodbye) return;
+        const count = await memberCount(ctx.telegram, ctx.chat.id);
+        await ctx.reply(render(config.goodbye, { user, chat: ctx.chat, count }, ctx.t));
+    }
+
+    // Handles "captcha:<userId>:<value>" button presses.
+    async function verify(ctx, data) {
+        const [userId, value] = data.split(":");
+        if (ctx.from.id !== Number(userId)) return ctx.answerCbQuery(ctx.t("welcome.captcha.not_for_you"));
+
+        const chatId = ctx.chat.id;
+        const { welcome: config } = await settings.get(chatId);
+        const next = challenge(config.captchaMode, ctx.t);
+        const pending = await db.takeCaptchaAttempt(chatId, ctx.from.id, next.answer);
+        if (!pending) return ctx.answerCbQuery(ctx.t("welcome.captcha.expired"));
+
+        if (pending.previous_answer !== value) {
+            const left = CAPTCHA_ATTEMPTS - pending.attempts;
+            if (left <= 0) {
+                await fail(ctx.telegram, pending);
+                return ctx.answerCbQuery(ctx.t("welcome.captcha.failed"));
+            }
+            const { text, extra } = prompt(ctx.from, next, config, ctx.t);
+            await ctx.editMessageText(text, extra).catch(() => {});
+            return ctx.answerCbQuery(ctx.t("welcome.captcha.wrong", { count: left }));
+        }
+
+        await db.deletePendingCaptcha(chatId, ctx.from.id);
+        await db.cancelJobs({ action: "captcha_timeout", chatId, userId: ctx.from.id });
+        await moderation.unmute(ctx.telegram, chatId, ctx.from.id);
+        await ctx.deleteMessage().catch(() => {});
+        await ctx.answerCbQuery(ctx.t("welcome.captcha.verified"));
+        await greet(ctx.telegram, ctx.chat, ctx.from, ctx.t);
+    }
+
+    return { onJoin, onLeave, verify };
+}
+
+module.exports = { render, createWelcome };